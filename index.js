@@ -1,5 +1,8 @@
 import { Pinecone } from "@pinecone-database/pinecone";
-import { randomUUID } from "node:crypto";
+import { createHash, randomUUID } from "node:crypto";
+import { appendFile, mkdir, readFile, rename, rm, stat, writeFile } from "node:fs/promises";
+import { homedir } from "node:os";
+import { basename, dirname, join } from "node:path";
 import OpenAI from "openai";
 
 // ---------------------------------------------------------------------------
@@ -31,6 +34,8 @@ function shouldCapture(text) {
   return CAPTURE_PATTERNS.some((re) => re.test(text));
 }
 
+const MEMORY_CATEGORIES = ["preference", "decision", "project", "technical", "fact", "general"];
+
 function detectCategory(text) {
   const lower = text.toLowerCase();
   if (/\b(prefer|always|never|like|dislike|hate|love|want|avoid)\b/.test(lower)) return "preference";
@@ -41,8 +46,18 @@ function detectCategory(text) {
   return "general";
 }
 
+// Removes injected recall blocks in every format, plus any XML-format
+// entries an agent quoted back outside the block. Only the exact shape
+// formatRecallEntry/formatRecallSummary write is matched, so a user's own
+// <memory> markup survives.
+const XML_RECALL_ENTRY =
+  /<memory id="[^"<>]*"(?: (?:category|capturedAt|scope|score)="[^"<>]*")*>[^<]*<\/memory>|<memory-summary count="\d+">[^<]*<\/memory-summary>/g;
+
 function stripMemoryTags(text) {
-  return text.replace(/<relevant-memories>[\s\S]*?<\/relevant-memories>/g, "").trim();
+  return text
+    .replace(/<relevant-memories(\s[^>]*)?>[\s\S]*?<\/relevant-memories>/g, "")
+    .replace(XML_RECALL_ENTRY, "")
+    .trim();
 }
 
 function extractHitContent(hit) {
@@ -59,6 +74,12 @@ function extractHitContent(hit) {
   return String(raw).trim();
 }
 
+function messageText(msg) {
+  if (typeof msg?.content === "string") return msg.content;
+  if (Array.isArray(msg?.content)) return msg.content.filter((b) => b.type === "text").map((b) => b.text).join("\n");
+  return "";
+}
+
 function normalizeFact(text) {
   return text
     .replace(/^[\-•\*\d\.\)\s]+/, "")
@@ -73,14 +94,16 @@ function splitSentences(text) {
     .filter(Boolean);
 }
 
+function tokenize(text) {
+  return text
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, " ")
+    .split(/\s+/)
+    .filter((t) => t.length > 2);
+}
+
 function tokenSet(text) {
-  return new Set(
-    text
-      .toLowerCase()
-      .replace(/[^a-z0-9\s]/g, " ")
-      .split(/\s+/)
-      .filter((t) => t.length > 2)
-  );
+  return new Set(tokenize(text));
 }
 
 function similarity(a, b) {
@@ -93,6 +116,42 @@ function similarity(a, b) {
   return union === 0 ? 0 : intersection / union;
 }
 
+// Words that say nothing about what a memory is about; lexical scoring
+// leaves them out so "which ... do I ..." questions are not diluted by them.
+const STOP_WORDS = new Set([
+  "about", "all", "also", "and", "any", "are", "been", "but", "can", "did", "does", "for", "from", "had", "has",
+  "have", "her", "his", "how", "its", "just", "more", "not", "our", "out", "over", "she", "should", "some",
+  "than", "that", "the", "their", "them", "then", "there", "these", "they", "this", "was", "were", "what",
+  "when", "where", "which", "who", "why", "will", "with", "would", "you", "your",
+]);
+
+// Crude suffix stripping so "prefers" meets "prefer" and "deploying" meets
+// "deploy". Both sides of a comparison go through it, so over-stemming only
+// costs a rare false match.
+function stemToken(token) {
+  if (token.length > 5 && token.endsWith("ing")) return token.slice(0, -3);
+  if (token.length > 4 && token.endsWith("ies")) return `${token.slice(0, -3)}y`;
+  if (token.length > 4 && token.endsWith("ed")) return token.slice(0, -2);
+  if (token.length > 3 && token.endsWith("s") && !token.endsWith("ss")) return token.slice(0, -1);
+  return token;
+}
+
+function contentTokenSet(text) {
+  return new Set(tokenize(text).filter((t) => !STOP_WORDS.has(t)).map(stemToken));
+}
+
+// Cosine overlap of the two sets of stemmed content words: 1.0 for identical
+// wording, and unlike Jaccard it does not collapse towards 0 when a short
+// query hits a long memory.
+function lexicalScore(query, text) {
+  const qSet = contentTokenSet(query);
+  const tSet = contentTokenSet(text);
+  if (qSet.size === 0 || tSet.size === 0) return 0;
+  let shared = 0;
+  for (const token of qSet) if (tSet.has(token)) shared += 1;
+  return shared / Math.sqrt(qSet.size * tSet.size);
+}
+
 function isContradiction(newFact, oldFact) {
   const neg = /\b(not|never|no longer|dislike|hate|avoid|don't|doesn't)\b/i;
   const pos = /\b(like|love|prefer|always|want|use|using)\b/i;
@@ -105,13 +164,7 @@ function extractConciseFacts(messages, { minFactLength = 15, maxFactLength = 280
   const facts = [];
   for (const msg of messages) {
     if (msg.role !== "user" && msg.role !== "assistant") continue;
-    const text = stripMemoryTags(
-      typeof msg.content === "string"
-        ? msg.content
-        : Array.isArray(msg.content)
-          ? msg.content.filter((b) => b.type === "text").map((b) => b.text).join("\n")
-          : ""
-    );
+    const text = stripMemoryTags(messageText(msg));
     if (!text) continue;
     const sentences = splitSentences(text);
     for (const sentence of sentences) {
@@ -123,6 +176,692 @@ function extractConciseFacts(messages, { minFactLength = 15, maxFactLength = 280
   return facts;
 }
 
+// Like Promise.all over items.map(fn), but with at most `limit` calls in
+// flight. Results keep the input order.
+async function mapConcurrent(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker));
+  return results;
+}
+
+// ---------------------------------------------------------------------------
+// Redaction
+// ---------------------------------------------------------------------------
+
+// Applied in order, so a private key block is masked as a whole before the
+// base64 inside it can match anything else.
+const REDACTION_RULES = [
+  { type: "private-key", pattern: /-----BEGIN (?:[A-Z0-9]+ )*PRIVATE KEY-----[\s\S]*?(?:-----END (?:[A-Z0-9]+ )*PRIVATE KEY-----|$)/g },
+  { type: "pinecone-key", pattern: /\bpcsk_[A-Za-z0-9_]{20,}/g },
+  { type: "api-key", pattern: /\bsk-[A-Za-z0-9_-]{20,}/g },
+  { type: "aws-key", pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g },
+  { type: "aws-key", pattern: /(?<=aws_secret_access_key["']?\s*[=:]\s*["']?)[A-Za-z0-9/+]{40}/gi },
+  { type: "jwt", pattern: /\beyJ[A-Za-z0-9_-]{5,}\.[A-Za-z0-9_-]{5,}\.[A-Za-z0-9_-]{5,}/g },
+  { type: "email", pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}\b/g },
+  // A phone number needs a +country code, a (area code) or the 3-3-4 shape
+  // of "555 123 4567", and at least 10 digits, so "ports 8080 9090 3000",
+  // "100 000 000" or ids like "2024-0101-2233" stay as they are.
+  {
+    type: "phone",
+    pattern: /(?<![\w.+-])(?:\+\d{1,3}(?:[\s.-]?(?:\(\d{1,4}\)|\d{1,4})){2,5}|\(\d{2,4}\)[\s.-]?\d{3,4}[\s.-]\d{3,4}|[2-9]\d{2}([\s.-])\d{3}\1\d{4}(?!\s\d))(?![\w-]|\.\d)/g,
+    accept: (match) => match.replace(/\D/g, "").length >= 10,
+  },
+];
+
+const REDACTION_TYPES = [...new Set(REDACTION_RULES.map((rule) => rule.type))];
+const REDACTION_MODES = ["mask", "reject", "off"];
+
+// Replaces each match with [REDACTED:<type>]; `found` lists the types seen.
+function redactSensitive(text, types = REDACTION_TYPES) {
+  const found = new Set();
+  let redacted = text;
+  for (const { type, pattern, accept } of REDACTION_RULES) {
+    if (!types.includes(type)) continue;
+    redacted = redacted.replace(pattern, (match) => {
+      if (accept && !accept(match)) return match;
+      found.add(type);
+      return `[REDACTED:${type}]`;
+    });
+  }
+  return { text: redacted, found: [...found] };
+}
+
+// Returns null when redaction is off; otherwise { mode, types }.
+function normalizeRedactionConfig(mode = "mask", types = REDACTION_TYPES) {
+  if (!REDACTION_MODES.includes(mode)) {
+    throw new Error(`Invalid redaction "${mode}" (expected one of: ${REDACTION_MODES.join(", ")})`);
+  }
+  if (mode === "off") return null;
+  if (!Array.isArray(types)) throw new Error("redactionTypes must be an array");
+  const unknown = types.filter((type) => !REDACTION_TYPES.includes(type));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown redactionTypes ${unknown.join(", ")} (expected: ${REDACTION_TYPES.join(", ")})`);
+  }
+  return { mode, types };
+}
+
+// Text as it may be stored under the policy: masked, or null when the policy
+// is "reject" and something sensitive was found.
+function redactForStorage(text, redaction) {
+  if (!redaction) return { text, found: [] };
+  const result = redactSensitive(text, redaction.types);
+  if (result.found.length > 0 && redaction.mode === "reject") return { text: null, found: result.found };
+  return result;
+}
+
+// ---------------------------------------------------------------------------
+// Metadata filters
+// ---------------------------------------------------------------------------
+
+const DURATION_UNITS_MS = {
+  m: 60_000,
+  h: 3_600_000,
+  d: 86_400_000,
+  w: 604_800_000,
+  y: 31_536_000_000,
+};
+
+// "90m", "12h", "7d", "2w", "1y" → milliseconds; null when not a duration.
+function parseDuration(value) {
+  const match = /^(\d+(?:\.\d+)?)\s*([mhdwy])$/i.exec(String(value ?? "").trim());
+  if (!match) return null;
+  return Number(match[1]) * DURATION_UNITS_MS[match[2].toLowerCase()];
+}
+
+// Accepts an ISO date/time or a duration meaning "that long ago".
+function parseTimeBound(value, now = Date.now()) {
+  const ago = parseDuration(value);
+  if (ago != null) return now - ago;
+  const ts = Date.parse(value);
+  if (Number.isNaN(ts)) {
+    throw new Error(`Invalid date "${value}" (use an ISO date like 2025-01-31 or a duration like 7d)`);
+  }
+  return ts;
+}
+
+function hitField(hit, key) {
+  if (!hit || typeof hit !== "object") return undefined;
+  return hit[key] ?? hit.fields?.[key] ?? hit.metadata?.[key];
+}
+
+function toList(value) {
+  if (value == null || value === "") return [];
+  const list = Array.isArray(value) ? value : String(value).split(",");
+  return list.map((v) => String(v).trim()).filter(Boolean);
+}
+
+// Normalizes a user-facing filter ({ categories, excludeCategories, role,
+// since, until }) into lists and epoch-ms bounds; null when it filters nothing.
+function normalizeFilter(filter) {
+  if (!filter) return null;
+  const spec = {
+    categories: toList(filter.categories),
+    excludeCategories: toList(filter.excludeCategories),
+    roles: toList(filter.role ?? filter.roles),
+    since: filter.since != null && filter.since !== "" ? parseTimeBound(filter.since) : null,
+    until: filter.until != null && filter.until !== "" ? parseTimeBound(filter.until) : null,
+  };
+  const empty =
+    spec.categories.length === 0 &&
+    spec.excludeCategories.length === 0 &&
+    spec.roles.length === 0 &&
+    spec.since == null &&
+    spec.until == null;
+  return empty ? null : spec;
+}
+
+function matchesFilter(hit, spec) {
+  if (!spec) return true;
+  const category = hitField(hit, "category");
+  if (spec.categories.length > 0 && !spec.categories.includes(category)) return false;
+  if (spec.excludeCategories.length > 0 && spec.excludeCategories.includes(category)) return false;
+  if (spec.roles.length > 0 && !spec.roles.includes(hitField(hit, "role"))) return false;
+  if (spec.since != null || spec.until != null) {
+    const capturedAt = Date.parse(hitField(hit, "capturedAt"));
+    if (Number.isNaN(capturedAt)) return false;
+    if (spec.since != null && capturedAt < spec.since) return false;
+    if (spec.until != null && capturedAt > spec.until) return false;
+  }
+  return true;
+}
+
+// Pinecone only supports range operators on numbers, and capturedAt is stored
+// as an ISO string, so the time bounds are applied client-side by matchesFilter.
+function toPineconeFilter(spec) {
+  if (!spec) return null;
+  const clauses = [];
+  if (spec.categories.length > 0) clauses.push({ category: { $in: spec.categories } });
+  if (spec.excludeCategories.length > 0) clauses.push({ category: { $nin: spec.excludeCategories } });
+  if (spec.roles.length > 0) clauses.push({ role: { $in: spec.roles } });
+  if (clauses.length === 0) return null;
+  return clauses.length === 1 ? clauses[0] : { $and: clauses };
+}
+
+// ---------------------------------------------------------------------------
+// Expiry (TTL)
+// ---------------------------------------------------------------------------
+
+function resolveExpiresAt(ttl, now = Date.now()) {
+  if (ttl == null || ttl === "") return null;
+  const ms = parseDuration(ttl);
+  if (ms == null || ms <= 0) {
+    throw new Error(`Invalid ttl "${ttl}" (use a duration like 12h, 7d or 2w)`);
+  }
+  return new Date(now + ms).toISOString();
+}
+
+// Adds expiresAt from the per-category defaults in config.categoryTtl.
+function withCategoryTtl(metadata, categoryTtl) {
+  const ttl = categoryTtl?.[metadata.category];
+  if (!ttl) return metadata;
+  return { ...metadata, expiresAt: resolveExpiresAt(ttl) };
+}
+
+// Expired memories stay in the index until `prune` removes them, but every
+// search treats them as already gone.
+function isExpired(hit, now = Date.now()) {
+  const expiresAt = Date.parse(hitField(hit, "expiresAt"));
+  return !Number.isNaN(expiresAt) && expiresAt <= now;
+}
+
+// Pinecone only compares numbers, so records stored there carry expiresAt
+// again as epoch ms (expiresAtMs) for the search filter below.
+function withExpiresAtMs(metadata) {
+  const { expiresAtMs: _stale, ...rest } = metadata;
+  const expiresAt = Date.parse(rest.expiresAt ?? "");
+  return Number.isNaN(expiresAt) ? rest : { ...rest, expiresAtMs: expiresAt };
+}
+
+// Keeps expired records out of a Pinecone query, so they do not take up
+// topK slots. Records stored before expiresAtMs existed pass the filter and
+// are still dropped by isExpired afterwards.
+function unexpiredFilter(now = Date.now()) {
+  return { $or: [{ expiresAtMs: { $exists: false } }, { expiresAtMs: { $gt: now } }] };
+}
+
+// ---------------------------------------------------------------------------
+// Ranking
+// ---------------------------------------------------------------------------
+
+// Returns null when recency re-ranking is off; otherwise half-lives in ms.
+function normalizeRecencyConfig(recency) {
+  if (!recency || recency.enabled === false) return null;
+  const halfLife = parseDuration(recency.halfLife ?? "180d");
+  if (!(halfLife > 0)) throw new Error(`Invalid recency.halfLife "${recency.halfLife}"`);
+  const categoryHalfLife = {};
+  for (const [category, value] of Object.entries(recency.categoryHalfLife ?? {})) {
+    const ms = parseDuration(value);
+    if (!(ms > 0)) throw new Error(`Invalid recency.categoryHalfLife for "${category}": ${value}`);
+    categoryHalfLife[category] = ms;
+  }
+  return {
+    weight: Math.min(1, Math.max(0, recency.weight ?? 0.3)),
+    halfLife,
+    categoryHalfLife,
+    candidateMultiplier: Math.max(1, recency.candidateMultiplier ?? 3),
+  };
+}
+
+// Exponential decay on the time since the memory was last written. Undated
+// memories are treated as one half-life old rather than brand new.
+function recencyFactor(hit, halfLifeMs, now = Date.now()) {
+  const written = Date.parse(hitField(hit, "updatedAt") ?? hitField(hit, "capturedAt"));
+  if (Number.isNaN(written)) return 0.5;
+  const age = Math.max(0, now - written);
+  return Math.pow(0.5, age / halfLifeMs);
+}
+
+// Blends the semantic score with recency: weight 0 keeps the original order,
+// weight 1 ranks purely by age. The raw score is kept as _semanticScore.
+function rerankByRecency(hits, recency, now = Date.now()) {
+  if (!recency) return hits;
+  return hits
+    .map((hit) => {
+      const semantic = typeof hit._score === "number" ? hit._score : 0;
+      const halfLife = recency.categoryHalfLife[hitField(hit, "category")] ?? recency.halfLife;
+      const factor = recencyFactor(hit, halfLife, now);
+      return {
+        ...hit,
+        _semanticScore: semantic,
+        _score: semantic * (1 - recency.weight + recency.weight * factor),
+      };
+    })
+    .sort((a, b) => b._score - a._score);
+}
+
+function normalizeHybridConfig(hybrid) {
+  if (!hybrid || hybrid.enabled === false) return null;
+  const method = hybrid.method ?? "overlap";
+  if (method !== "overlap" && method !== "bm25") {
+    throw new Error(`Invalid hybrid.method "${method}" (expected overlap or bm25)`);
+  }
+  const denseWeight = Math.max(0, hybrid.denseWeight ?? 0.7);
+  const lexicalWeight = Math.max(0, hybrid.lexicalWeight ?? 0.3);
+  const total = denseWeight + lexicalWeight || 1;
+  return {
+    method,
+    denseWeight: denseWeight / total,
+    lexicalWeight: lexicalWeight / total,
+    overFetch: Math.max(1, hybrid.overFetch ?? 3),
+  };
+}
+
+// BM25 over the candidate set itself (IDF from the candidates), scaled so the
+// best candidate scores 1. Scores are relative to the batch, not absolute.
+function bm25Scores(query, docs, { k1 = 1.2, b = 0.75 } = {}) {
+  const queryTerms = [...tokenSet(query)];
+  const docTokens = docs.map((doc) => tokenize(doc));
+  const avgLength = docTokens.reduce((sum, t) => sum + t.length, 0) / (docTokens.length || 1) || 1;
+
+  const docFreq = new Map();
+  for (const tokens of docTokens) {
+    for (const term of new Set(tokens)) docFreq.set(term, (docFreq.get(term) ?? 0) + 1);
+  }
+
+  const raw = docTokens.map((tokens) => {
+    const tf = new Map();
+    for (const token of tokens) tf.set(token, (tf.get(token) ?? 0) + 1);
+    let score = 0;
+    for (const term of queryTerms) {
+      const freq = tf.get(term);
+      if (!freq) continue;
+      const df = docFreq.get(term);
+      const idf = Math.log(1 + (docTokens.length - df + 0.5) / (df + 0.5));
+      score += (idf * freq * (k1 + 1)) / (freq + k1 * (1 - b + (b * tokens.length) / avgLength));
+    }
+    return score;
+  });
+
+  const max = Math.max(0, ...raw);
+  return raw.map((score) => (max > 0 ? score / max : 0));
+}
+
+// Fuses the dense score with a lexical score so exact identifiers (repo
+// names, ticket keys) can surface even when embeddings rank them low.
+// The dense score is kept as _denseScore and the lexical one as _lexicalScore.
+function fuseLexicalScores(query, hits, hybrid) {
+  if (!hybrid) return hits;
+  const contents = hits.map((hit) => extractHitContent(hit));
+  const lexical =
+    hybrid.method === "bm25" ? bm25Scores(query, contents) : contents.map((text) => lexicalScore(query, text));
+  return hits
+    .map((hit, i) => {
+      const dense = typeof hit._score === "number" ? hit._score : 0;
+      return {
+        ...hit,
+        _denseScore: dense,
+        _lexicalScore: lexical[i],
+        _score: hybrid.denseWeight * dense + hybrid.lexicalWeight * lexical[i],
+      };
+    })
+    .sort((a, b) => b._score - a._score);
+}
+
+// Orders hits by score and keeps the best copy of any memory that appears
+// more than once (same id or near-identical wording).
+function dedupeHits(hits, limit = Infinity) {
+  const sorted = [...hits].sort((a, b) => (b._score ?? 0) - (a._score ?? 0));
+  const kept = [];
+  for (const hit of sorted) {
+    const content = extractHitContent(hit);
+    const dup = kept.some(
+      (other) => (hit._id && other._id === hit._id) || similarity(extractHitContent(other), content) >= 0.9
+    );
+    if (!dup) kept.push(hit);
+  }
+  return kept.slice(0, limit);
+}
+
+// ---------------------------------------------------------------------------
+// Recall query
+// ---------------------------------------------------------------------------
+
+// Caps how much of each earlier turn goes into the query, so one long
+// assistant reply cannot drown out the prompt.
+const MAX_CONTEXT_TURN_CHARS = 300;
+
+// Prefixes the prompt with the last `turns` user/assistant messages so that
+// follow-ups like "do it the usual way" carry their context into the search.
+function buildRecallQuery(prompt, messages = [], turns = 2) {
+  if (!turns || !Array.isArray(messages)) return prompt;
+  const context = messages
+    .filter((msg) => msg.role === "user" || msg.role === "assistant")
+    .map((msg) => stripMemoryTags(messageText(msg)).replace(/\s+/g, " ").trim())
+    .filter(Boolean);
+  // The gateway may already have appended the prompt to the history.
+  if (context.at(-1) === prompt.replace(/\s+/g, " ").trim()) context.pop();
+  const recent = context.slice(-turns).map((text) => text.slice(0, MAX_CONTEXT_TURN_CHARS));
+  return [...recent, prompt].join("\n");
+}
+
+// ---------------------------------------------------------------------------
+// Recall block formatting & token budget
+// ---------------------------------------------------------------------------
+
+const RECALL_FORMATS = ["bullets", "xml", "json", "template"];
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// Renders one recalled memory as a line of the <relevant-memories> block.
+// `content` overrides the hit's text when the token budget shortens it.
+// Templates use {content}, {score}, {category}, {id}, {capturedAt}, {scope}.
+function formatRecallEntry(hit, { format = "bullets", showScores = true, template = "" } = {}, content = extractHitContent(hit)) {
+  const score = showScores ? (typeof hit._score === "number" ? hit._score.toFixed(2) : "0.00") : null;
+  const fields = {
+    id: hit._id,
+    category: hitField(hit, "category"),
+    capturedAt: hitField(hit, "capturedAt"),
+    scope: hit._scope,
+    score,
+  };
+  switch (format) {
+    case "xml": {
+      const attrs = Object.entries(fields)
+        .filter(([, value]) => value != null && value !== "")
+        .map(([key, value]) => ` ${key}="${escapeXml(value)}"`)
+        .join("");
+      return `<memory${attrs}>${escapeXml(content)}</memory>`;
+    }
+    case "json":
+      return JSON.stringify({ ...fields, score: score == null ? undefined : Number(score), content });
+    case "template":
+      return template.replace(/\{(\w+)\}/g, (_, name) => String((name === "content" ? content : fields[name]) ?? ""));
+    default: {
+      const label = [score, fields.category && `[${fields.category}]`, fields.scope && `{${fields.scope}}`]
+        .filter(Boolean)
+        .join(" ");
+      return label ? `- (${label}) ${content}` : `- ${content}`;
+    }
+  }
+}
+
+function formatRecallSummary(summary, count, { format = "bullets" } = {}) {
+  if (format === "xml") return `<memory-summary count="${count}">${escapeXml(summary)}</memory-summary>`;
+  if (format === "json") return JSON.stringify({ summary, count });
+  return `- (summary of ${count} more) ${summary}`;
+}
+
+// Structured formats say so on the wrapper tag so agents know how to parse it.
+function wrapRecallBlock(lines, { format = "bullets" } = {}) {
+  const open = format === "xml" || format === "json" ? `<relevant-memories format="${format}">` : "<relevant-memories>";
+  return [open, ...lines, "</relevant-memories>"].join("\n");
+}
+
+const RECALL_OVERFLOW_MODES = ["truncate", "drop", "summarize"];
+// Below this many tokens a truncated memory is more noise than signal.
+const MIN_TRUNCATED_TOKENS = 12;
+// Upper bound on the budget held back for the overflow summary line.
+const SUMMARY_RESERVE_TOKENS = 60;
+
+// Rough estimate (~4 characters per token for English text); close enough
+// for budgeting without shipping a tokenizer.
+function estimateTokens(text) {
+  return Math.ceil((text ?? "").length / 4);
+}
+
+function truncateToTokens(text, tokens) {
+  const maxChars = tokens * 4;
+  if (text.length <= maxChars) return text;
+  return `${text.slice(0, Math.max(0, maxChars - 1)).trimEnd()}…`;
+}
+
+// Keeps lines in rank order until `budget` tokens are used. With `truncate`,
+// the first line that does not fit is shortened into the remaining space by
+// `shorten(line, tokens, index)` (null drops it); everything after it is
+// returned as overflow.
+function fitToTokenBudget(lines, budget, { truncate = true, shorten = truncateToTokens } = {}) {
+  const kept = [];
+  let used = 0;
+  for (let i = 0; i < lines.length; i++) {
+    const tokens = estimateTokens(lines[i]);
+    if (used + tokens <= budget) {
+      kept.push(lines[i]);
+      used += tokens;
+      continue;
+    }
+    const remaining = budget - used;
+    const shortened = truncate && remaining >= MIN_TRUNCATED_TOKENS ? shorten(lines[i], remaining, i) : null;
+    if (shortened != null) {
+      kept.push(shortened);
+      return { kept, overflow: lines.slice(i + 1) };
+    }
+    return { kept, overflow: lines.slice(i) };
+  }
+  return { kept, overflow: [] };
+}
+
+// ---------------------------------------------------------------------------
+// Export
+// ---------------------------------------------------------------------------
+
+const EXPORT_FIELDS = ["category", "role", "capturedAt", "updatedAt"];
+
+function toExportRecord(record) {
+  const { _id, _score, _semanticScore, _denseScore, _lexicalScore, expiresAtMs: _expiresAtMs, content, ...metadata } = record;
+  const out = { id: _id, content: content ?? "" };
+  for (const field of EXPORT_FIELDS) out[field] = metadata[field] ?? null;
+  for (const [key, value] of Object.entries(metadata)) {
+    if (!(key in out)) out[key] = value;
+  }
+  return out;
+}
+
+function formatExportJsonl(records) {
+  return records.map((r) => JSON.stringify(toExportRecord(r))).join("\n") + (records.length ? "\n" : "");
+}
+
+// Bullets grouped by category, with the remaining fields kept in a trailing
+// HTML comment so the file stays readable and can be imported again.
+function formatExportMarkdown(records, { indexName, namespace } = {}) {
+  const byCategory = new Map();
+  for (const record of records.map(toExportRecord)) {
+    const category = record.category ?? "general";
+    if (!byCategory.has(category)) byCategory.set(category, []);
+    byCategory.get(category).push(record);
+  }
+
+  const lines = [`# Memories (${indexName ?? "index"} / ${namespace ?? "default"})`, ""];
+  lines.push(`_Exported ${new Date().toISOString()} — ${records.length} memor${records.length === 1 ? "y" : "ies"}_`);
+  for (const [category, items] of [...byCategory.entries()].sort(([a], [b]) => a.localeCompare(b))) {
+    lines.push("", `## ${category}`, "");
+    for (const { id, content, category: _category, ...rest } of items) {
+      const meta = Object.entries({ id, ...rest })
+        .filter(([, value]) => value != null)
+        .map(([key, value]) => `${key}=${typeof value === "string" ? value : JSON.stringify(value)}`)
+        .join("; ");
+      lines.push(`- ${content.replace(/\s+/g, " ")} <!-- ${meta} -->`);
+    }
+  }
+  return lines.join("\n") + "\n";
+}
+
+// ---------------------------------------------------------------------------
+// Import
+// ---------------------------------------------------------------------------
+
+// Pinecone accepts at most 96 records per upsertRecords call for indexes
+// with integrated inference.
+const MAX_UPSERT_BATCH = 96;
+
+// Turns an export record (or another plugin's { text } / { memory } shape)
+// into { id, content, ...metadata }.
+function toImportEntry(raw) {
+  if (typeof raw === "string") return { content: raw };
+  if (!raw || typeof raw !== "object") return null;
+  const { id, _id, content, text, memory, ...metadata } = raw;
+  const body = content ?? text ?? memory;
+  if (typeof body !== "string") return null;
+  return { id: id ?? _id ?? null, content: body, ...metadata };
+}
+
+function parseMarkdownMeta(comment) {
+  const meta = {};
+  for (const pair of comment.split(";")) {
+    const eq = pair.indexOf("=");
+    if (eq === -1) continue;
+    const key = pair.slice(0, eq).trim();
+    const value = pair.slice(eq + 1).trim();
+    if (key) meta[key] = value;
+  }
+  return meta;
+}
+
+// A file opening with "[" is a JSON array unless its first line reads like
+// Markdown, e.g. a note that opens with a link or a "[x]" task.
+function looksLikeJsonArray(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0].trim();
+  return /^\[\s*(?:$|[{["\d-]|true|false|null|\])/.test(firstLine);
+}
+
+// Accepts JSONL (the export format), a JSON array, or Markdown bullet lists.
+// "## <category>" headings written by the Markdown export are honoured, as is
+// the trailing <!-- key=value; ... --> comment on each bullet. Task-list
+// checkboxes ("- [x] ...") are dropped from the bullet text.
+function parseImportFile(text) {
+  const entries = [];
+  const errors = [];
+  const trimmed = text.trim();
+  if (!trimmed) return { entries, errors };
+
+  if (looksLikeJsonArray(trimmed)) {
+    let parsed;
+    try {
+      parsed = JSON.parse(trimmed);
+    } catch (err) {
+      errors.push(`JSON array: ${err.message}`);
+      return { entries, errors };
+    }
+    parsed.forEach((item, i) => {
+      const entry = toImportEntry(item);
+      if (entry) entries.push(entry);
+      else errors.push(`item ${i + 1}: no content`);
+    });
+    return { entries, errors };
+  }
+
+  if (trimmed.startsWith("{")) {
+    text.split(/\r?\n/).forEach((line, i) => {
+      if (!line.trim()) return;
+      try {
+        const entry = toImportEntry(JSON.parse(line));
+        if (entry) entries.push(entry);
+        else errors.push(`line ${i + 1}: no content`);
+      } catch (err) {
+        errors.push(`line ${i + 1}: ${err.message}`);
+      }
+    });
+    return { entries, errors };
+  }
+
+  let category = null;
+  for (const line of text.split(/\r?\n/)) {
+    const heading = /^#{1,6}\s+(.+?)\s*$/.exec(line);
+    if (heading) {
+      const name = heading[1].toLowerCase();
+      category = MEMORY_CATEGORIES.includes(name) ? name : null;
+      continue;
+    }
+    const bullet = /^\s*(?:[-*+]|\d+[.)])\s+(?:\[[ xX]\]\s+)?(.+)$/.exec(line);
+    if (!bullet) continue;
+    let body = bullet[1];
+    let meta = {};
+    const comment = /\s*<!--([\s\S]*?)-->\s*$/.exec(body);
+    if (comment) {
+      meta = parseMarkdownMeta(comment[1]);
+      body = body.slice(0, comment.index);
+    }
+    const { id = null, ...rest } = meta;
+    entries.push({ id, content: body, ...(category ? { category } : {}), ...rest });
+  }
+  return { entries, errors };
+}
+
+async function importMemories(entries, db, logger, { batchSize = 50, history = null, redaction = null } = {}) {
+  const stats = { added: 0, skipped: 0, failed: 0 };
+  const size = Math.max(1, Math.min(batchSize, MAX_UPSERT_BATCH));
+  const accepted = [];
+  let batch = [];
+
+  const flush = async () => {
+    if (batch.length === 0) return;
+    const pending = batch;
+    batch = [];
+    try {
+      await db.storeMany(pending);
+      stats.added += pending.length;
+      for (const { id, text, metadata } of pending) {
+        await recordChange(history, logger, {
+          event: "ADD", memoryId: id, namespace: db.namespace, newText: text, category: metadata.category, source: "import",
+        });
+      }
+    } catch (err) {
+      stats.failed += pending.length;
+      logger.warn(`pinecone-memory: failed to import batch of ${pending.length}: ${err.message}`);
+    }
+  };
+
+  for (const entry of entries) {
+    const { id, content, category, role, capturedAt, ...rest } = entry;
+    const { text: clean, found } = redactForStorage(normalizeFact(stripMemoryTags(String(content ?? ""))), redaction);
+    if (clean === null) {
+      logger.warn(`pinecone-memory: refused to import a memory containing ${found.join(", ")}`);
+      stats.skipped += 1;
+      continue;
+    }
+    if (!clean) {
+      stats.skipped += 1;
+      continue;
+    }
+
+    // The file itself may repeat a memory that has not been flushed yet.
+    if (accepted.some((text) => similarity(text, clean) >= 0.95)) {
+      stats.skipped += 1;
+      continue;
+    }
+
+    try {
+      if (await db.isDuplicate(clean)) {
+        stats.skipped += 1;
+        continue;
+      }
+    } catch (err) {
+      stats.failed += 1;
+      logger.warn(`pinecone-memory: failed to import "${clean.slice(0, 60)}": ${err.message}`);
+      continue;
+    }
+
+    const metadata = Object.fromEntries(Object.entries(rest).filter(([, value]) => value != null));
+    accepted.push(clean);
+    batch.push({
+      id: id || randomUUID(),
+      text: clean,
+      metadata: {
+        ...metadata,
+        category: category || detectCategory(clean),
+        role: role || "import",
+        capturedAt: capturedAt || new Date().toISOString(),
+      },
+    });
+    if (batch.length >= size) await flush();
+  }
+
+  await flush();
+  return stats;
+}
+
 // ---------------------------------------------------------------------------
 // LLM prompts & functions
 // ---------------------------------------------------------------------------
@@ -225,26 +964,109 @@ IMPORTANT:
 
 Return a JSON object: {"memory": [{"id": "<id>", "text": "<fact text>", "event": "ADD|UPDATE|DELETE|NONE", "old_memory": "<text of old memory if UPDATE or DELETE, else null>"}]}`;
 
+const LLM_PROVIDERS = ["openai", "anthropic"];
+const DEFAULT_LLM_MODELS = { openai: "gpt-5-mini", anthropic: "claude-haiku-4-5" };
+const ANTHROPIC_BASE_URL = "https://api.anthropic.com";
+const ANTHROPIC_VERSION = "2023-06-01";
+const ANTHROPIC_MAX_TOKENS = 2048;
+
+function resolveLlmHeaders(headers) {
+  const resolved = {};
+  for (const [name, value] of Object.entries(headers ?? {})) {
+    const v = resolveEnvVars(value);
+    if (v) resolved[name] = String(v);
+  }
+  return resolved;
+}
+
 function createOpenAIClient(config) {
+  const baseURL = resolveEnvVars(config.llmBaseUrl) || undefined;
   const apiKey = resolveEnvVars(config.openaiApiKey);
-  if (!apiKey) {
+  // Local OpenAI-compatible servers (Ollama, vLLM, LM Studio) usually ignore
+  // the key, but the SDK refuses to start without one.
+  if (!apiKey && !baseURL) {
     throw new Error("openaiApiKey is required when captureMode is 'llm'");
   }
-  return new OpenAI({ apiKey });
+  return new OpenAI({
+    apiKey: apiKey || "not-needed",
+    baseURL,
+    defaultHeaders: resolveLlmHeaders(config.llmHeaders),
+    ...(config.llmTimeoutMs ? { timeout: config.llmTimeoutMs } : {}),
+    // Retries happen in the plugin's circuit breaker (see withBreaker).
+    maxRetries: 0,
+  });
+}
+
+// Pulls the JSON object out of a reply that may be wrapped in prose or a
+// code fence. Models without a native JSON mode do this often.
+function unwrapJsonObject(text) {
+  const start = text.indexOf("{");
+  const end = text.lastIndexOf("}");
+  return start >= 0 && end > start ? text.slice(start, end + 1) : text;
+}
+
+// Client for the Anthropic messages API exposing the subset of the OpenAI
+// `chat.completions.create` surface the LLM functions use, so they work
+// unchanged against either provider.
+function createAnthropicClient(config) {
+  const apiKey = resolveEnvVars(config.anthropicApiKey);
+  if (!apiKey) {
+    throw new Error("anthropicApiKey is required when llmProvider is 'anthropic'");
+  }
+  const baseUrl = (resolveEnvVars(config.llmBaseUrl) || ANTHROPIC_BASE_URL).replace(/\/+$/, "");
+  const headers = {
+    "content-type": "application/json",
+    "x-api-key": apiKey,
+    "anthropic-version": ANTHROPIC_VERSION,
+    ...resolveLlmHeaders(config.llmHeaders),
+  };
+
+  async function create({ model, messages, response_format: responseFormat }) {
+    const json = responseFormat?.type === "json_object";
+    const system = messages
+      .filter((m) => m.role === "system")
+      .map((m) => m.content)
+      .concat(json ? ["Respond with a single JSON object and nothing else."] : [])
+      .join("\n\n");
+    const res = await fetch(`${baseUrl}/v1/messages`, {
+      method: "POST",
+      headers,
+      body: JSON.stringify({
+        model,
+        max_tokens: ANTHROPIC_MAX_TOKENS,
+        ...(system ? { system } : {}),
+        messages: messages.filter((m) => m.role !== "system").map((m) => ({ role: m.role, content: m.content })),
+      }),
+      ...(config.llmTimeoutMs ? { signal: AbortSignal.timeout(config.llmTimeoutMs) } : {}),
+    });
+    if (!res.ok) {
+      const detail = await res.text().catch(() => "");
+      const err = new Error(`Anthropic API error ${res.status}${detail ? `: ${detail.slice(0, 200)}` : ""}`);
+      err.status = res.status;
+      throw err;
+    }
+    const data = await res.json();
+    const text = (data.content ?? [])
+      .filter((block) => block.type === "text")
+      .map((block) => block.text)
+      .join("");
+    return { choices: [{ message: { content: json ? unwrapJsonObject(text) : text } }] };
+  }
+
+  return { chat: { completions: { create } } };
+}
+
+function createLLMClient(config) {
+  const provider = config.llmProvider ?? "openai";
+  if (provider === "openai") return createOpenAIClient(config);
+  if (provider === "anthropic") return createAnthropicClient(config);
+  throw new Error(`Unknown llmProvider "${provider}" (expected one of: ${LLM_PROVIDERS.join(", ")})`);
 }
 
 async function llmExtractFacts(openai, model, messages) {
   const conversationText = messages
     .filter((m) => m.role === "user")
-    .map((m) => {
-      const text =
-        typeof m.content === "string"
-          ? m.content
-          : Array.isArray(m.content)
-            ? m.content.filter((b) => b.type === "text").map((b) => b.text).join("\n")
-            : "";
-      return stripMemoryTags(text);
-    })
+    .map((m) => stripMemoryTags(messageText(m)))
     .filter((line) => line.trim().length > 0)
     .join("\n");
 
@@ -266,14 +1088,15 @@ async function llmExtractFacts(openai, model, messages) {
   return Array.isArray(parsed.facts) ? parsed.facts.filter((f) => typeof f === "string" && f.trim()) : [];
 }
 
-async function llmReconcileMemories(openai, model, facts, db, topK = 3, threshold = 0.3) {
+async function llmReconcileMemories(openai, model, facts, db, topK = 3, threshold = 0.3, { concurrency = CAPTURE_CONCURRENCY } = {}) {
   const factsWithContext = [];
   // Map integer IDs → real UUIDs to prevent LLM hallucination
   const idMapping = {};
   let nextId = 0;
 
-  for (const fact of facts) {
-    const nearby = await db.search(fact, topK, threshold);
+  const nearbyByFact = await mapConcurrent(facts, concurrency, (fact) => db.search(fact, topK, threshold));
+  for (const [i, fact] of facts.entries()) {
+    const nearby = nearbyByFact[i];
     const existingMemories = nearby.map((hit) => {
       const realId = hit._id;
       // Reuse integer ID if we've already seen this UUID
@@ -322,136 +1145,1687 @@ async function llmReconcileMemories(openai, model, facts, db, topK = 3, threshol
   }));
 }
 
-async function applyMemoryDecisions(decisions, db, logger) {
-  const stats = { added: 0, updated: 0, deleted: 0, none: 0 };
-
-  for (const decision of decisions) {
-    const event = (decision.event ?? "").toUpperCase();
-    const text = decision.text?.trim();
+function buildQueryRewritePrompt(maxQueries) {
+  return `You write search queries for a long-term memory store that holds durable facts about a developer: preferences, technical decisions, project details, workflow rules and identity.
 
-    try {
-      switch (event) {
-        case "ADD": {
-          if (!text) break;
-          const id = randomUUID();
-          await db.store(id, text, {
-            category: detectCategory(text),
-            role: "llm-extract",
-            capturedAt: new Date().toISOString(),
-          });
-          stats.added += 1;
-          break;
-        }
-        case "UPDATE": {
-          if (!text || !decision.id || decision.id === "new") break;
-          await db.update(decision.id, text, {
-            category: detectCategory(text),
-            role: "llm-extract",
-            capturedAt: new Date().toISOString(),
-            updatedAt: new Date().toISOString(),
-          });
-          stats.updated += 1;
-          break;
-        }
-        case "DELETE": {
-          if (!decision.id || decision.id === "new") break;
-          await db.delete(decision.id);
-          if (text) {
-            const id = randomUUID();
-            await db.store(id, text, {
-              category: detectCategory(text),
-              role: "llm-extract",
-              capturedAt: new Date().toISOString(),
-            });
-          }
-          stats.deleted += 1;
-          break;
-        }
-        case "NONE":
-          stats.none += 1;
-          break;
-        default:
-          logger.warn(`pinecone-memory: unknown decision event "${event}"`);
-      }
-    } catch (err) {
-      logger.warn(`pinecone-memory: failed to apply ${event} decision: ${err.message}`);
-    }
-  }
+You are given the latest turns of a conversation; the last line is the user's newest message. Rewrite what the user needs into at most ${maxQueries} short, standalone search queries. Resolve pronouns and references such as "it", "that repo" or "the usual way" using the earlier turns. Each query should target one kind of fact.
 
-  return stats;
+Return JSON: {"queries": ["..."]}. Return {"queries": []} when nothing in the memory store could help.`;
 }
 
-// ---------------------------------------------------------------------------
-// PineconeMemoryDB
-// ---------------------------------------------------------------------------
-
-class PineconeMemoryDB {
-  constructor(config) {
-    this.apiKey = resolveEnvVars(config.pineconeApiKey);
-    this.indexName = config.indexName ?? "openclaw-memory";
-    this.namespace = config.namespace ?? "default";
-    this.deduplicationThreshold = config.deduplicationThreshold ?? 0.95;
+// Turns the conversation-aware recall query into standalone search queries.
+async function llmRewriteQueries(openai, model, query, maxQueries = 3) {
+  const response = await openai.chat.completions.create({
+    model,
+    response_format: { type: "json_object" },
+    messages: [
+      { role: "system", content: buildQueryRewritePrompt(maxQueries) },
+      { role: "user", content: query },
+    ],
+  });
+
+  const raw = response.choices?.[0]?.message?.content;
+  if (!raw) return [];
+
+  const parsed = JSON.parse(raw);
+  if (!Array.isArray(parsed.queries)) return [];
+  const queries = parsed.queries.filter((q) => typeof q === "string" && q.trim()).map((q) => q.trim());
+  return [...new Set(queries)].slice(0, maxQueries);
+}
+
+// Compresses recalled memories that did not fit the token budget into one
+// sentence.
+async function llmSummarizeMemories(openai, model, memories, maxTokens) {
+  if (memories.length === 0) return "";
+  const response = await openai.chat.completions.create({
+    model,
+    messages: [
+      {
+        role: "system",
+        content: `Summarize the following memories about a user into a single plain sentence of at most ${Math.max(10, Math.floor(maxTokens * 0.75))} words. Keep concrete names, tools and decisions; drop anything vague. Reply with the sentence only.`,
+      },
+      { role: "user", content: memories.map((m) => `- ${m}`).join("\n") },
+    ],
+  });
+  const summary = response.choices?.[0]?.message?.content ?? "";
+  return summary.replace(/\s+/g, " ").trim();
+}
+
+const MEMORY_MERGE_PROMPT = `You maintain a long-term memory store of durable facts about a developer. You are given several stored memories that say much the same thing in different words, oldest first.
+
+Merge them into one memory: a single plain sentence that keeps every concrete detail (names, tools, versions, decisions, reasons) and drops the repetition. Where they disagree, the newest memory wins.
+
+Return JSON: {"memory": "..."}`;
+
+// Rewrites a cluster of near-duplicate memories (oldest first) as one.
+// Returns "" when the model gives nothing usable.
+async function llmMergeMemories(openai, model, memories) {
+  const response = await openai.chat.completions.create({
+    model,
+    response_format: { type: "json_object" },
+    messages: [
+      { role: "system", content: MEMORY_MERGE_PROMPT },
+      { role: "user", content: memories.map((m) => `- ${m}`).join("\n") },
+    ],
+  });
+
+  const raw = response.choices?.[0]?.message?.content;
+  if (!raw) return "";
+
+  const parsed = JSON.parse(raw);
+  return typeof parsed.memory === "string" ? parsed.memory.replace(/\s+/g, " ").trim() : "";
+}
+
+// Decisions are planned concurrently and written in one batch per round;
+// stats and history only count the ones whose writes went through. With a
+// `queue`, decisions the backend was unavailable for are queued instead.
+async function applyMemoryDecisions(
+  decisions,
+  db,
+  logger,
+  { categoryTtl, history = null, session = null, softDelete = false, redaction = null, concurrency = CAPTURE_CONCURRENCY, queue = null } = {}
+) {
+  const stats = { added: 0, updated: 0, deleted: 0, none: 0, refused: 0, queued: 0 };
+  const metadataFor = (text, extra = {}) =>
+    withCategoryTtl({
+      category: detectCategory(text),
+      role: "llm-extract",
+      capturedAt: new Date().toISOString(),
+      ...extra,
+    }, categoryTtl);
+  const op = (fields) => ({ namespace: db.namespace, source: "llm", session, ...fields });
+  const storeOp = (text) => op({ op: "store", id: randomUUID(), text, metadata: metadataFor(text) });
+
+  const changes = [];
+  for (const decision of decisions) {
+    const event = (decision.event ?? "").toUpperCase();
+    const { text, found } = redactForStorage(decision.text?.trim() ?? "", redaction);
+    if (text === null) {
+      // A refused DELETE still removes the old memory; only its replacement is dropped.
+      logger.warn(`pinecone-memory: refused to store ${event} text containing ${found.join(", ")}`);
+      stats.refused += 1;
+      if (event !== "DELETE") continue;
+    }
+    const known = decision.id && decision.id !== "new";
+    // The model's old_memory is only a fallback; the stored text is authoritative.
+    const oldText = decision.old_memory || null;
+
+    switch (event) {
+      case "ADD":
+        if (text) changes.push({ event, id: null, stat: "added", ops: [storeOp(text)] });
+        break;
+      case "UPDATE":
+        if (text && known) {
+          const metadata = metadataFor(text, { updatedAt: new Date().toISOString() });
+          changes.push({ event, id: decision.id, stat: "updated", ops: [op({ op: "update", id: decision.id, text, metadata, oldText })] });
+        }
+        break;
+      case "DELETE":
+        if (known) {
+          const remove = op({ op: "delete", id: decision.id, archive: softDelete, oldText });
+          changes.push({ event, id: decision.id, stat: "deleted", ops: text ? [remove, storeOp(text)] : [remove] });
+        }
+        break;
+      case "NONE":
+        stats.none += 1;
+        break;
+      default:
+        logger.warn(`pinecone-memory: unknown decision event "${event}"`);
+    }
+  }
+
+  const outcomes = await commitChanges(db, changes, { logger, history, queue, concurrency });
+  for (const [i, change] of changes.entries()) {
+    if (outcomes[i] === "written") stats[change.stat] += 1;
+    else if (outcomes[i] === "queued") stats.queued += 1;
+  }
+
+  return stats;
+}
+
+// One line per decision for dry-run logs and the simulate command. Accepts
+// both heuristic decisions and the LLM's reconcile output.
+function formatCaptureDecision(decision) {
+  const event = String(decision.event ?? "").toUpperCase();
+  const quote = (text) => `"${String(text ?? "").slice(0, 100)}"`;
+  const score = typeof decision.score === "number" ? ` (score ${decision.score.toFixed(2)})` : "";
+  const category = decision.category ? ` [${decision.category}]` : "";
+  switch (event) {
+    case "ADD":
+      return `ADD     ${quote(decision.text)}${category}`;
+    case "UPDATE":
+      return `UPDATE  ${decision.id} ${quote(decision.old_memory)} -> ${quote(decision.text)}${score}`;
+    case "DELETE": {
+      const reason = decision.contradictedBy ? ` contradicted by ${quote(decision.contradictedBy)}`
+        : decision.text ? ` replaced by ${quote(decision.text)}` : "";
+      return `DELETE  ${decision.id} ${quote(decision.old_memory)}${reason}${score}`;
+    }
+    case "NONE":
+      return `NONE    ${quote(decision.text)}${decision.id && decision.id !== "new" ? ` matches ${decision.id}` : ""}${score}`;
+    default:
+      return `${event || "?"}  ${quote(decision.text)}`;
+  }
+}
+
+function countDecisions(decisions) {
+  const counts = { add: 0, update: 0, delete: 0, none: 0 };
+  for (const decision of decisions) {
+    const key = String(decision.event ?? "").toLowerCase();
+    if (key in counts) counts[key] += 1;
+  }
+  return counts;
+}
+
+// A saved transcript is a JSON array of messages or an object with a
+// `messages` array (the agent_end event shape).
+function parseTranscript(text) {
+  const parsed = JSON.parse(text);
+  const messages = Array.isArray(parsed) ? parsed : parsed?.messages;
+  if (!Array.isArray(messages)) throw new Error("expected a JSON array of messages or an object with a messages array");
+  return messages.filter((msg) => msg && typeof msg === "object");
+}
+
+// ---------------------------------------------------------------------------
+// Resilience — retries, timeouts and a circuit breaker for remote calls
+// ---------------------------------------------------------------------------
+
+// Timeout for the LLM calls recall makes while the agent waits.
+const RECALL_LLM_TIMEOUT_MS = 5000;
+
+const RESILIENCE_DEFAULTS = {
+  retries: 2,
+  baseDelayMs: 250,
+  maxDelayMs: 4000,
+  timeoutMs: 10_000,
+  failureThreshold: 5,
+  resetMs: 30_000,
+};
+
+// SDK error names for network and server-side failures that are worth retrying.
+const TRANSIENT_ERROR_NAMES = new Set([
+  "APIConnectionError",
+  "APIConnectionTimeoutError",
+  "PineconeConnectionError",
+  "PineconeInternalServerError",
+  "PineconeMaxRetriesExceededError",
+  "PineconeUnavailableError",
+  "TimeoutError",
+]);
+const TRANSIENT_ERROR_CODES = new Set(["ECONNRESET", "ECONNREFUSED", "ETIMEDOUT", "EAI_AGAIN", "EPIPE", "CALL_TIMEOUT"]);
+
+// The HTTP status of a failed call, or null. The Pinecone SDK has error
+// classes for only some statuses; the rest (429, 502, 504, ...) arrive as
+// PineconeUnmappedHttpError with the status only in the message.
+function errorStatus(err) {
+  const status = err.status ?? err.statusCode ?? err.response?.status;
+  if (typeof status === "number") return status;
+  if (err.name === "PineconeUnmappedHttpError") {
+    const match = /\bStatus: (\d{3})\b/.exec(String(err.message ?? ""));
+    if (match) return Number(match[1]);
+  }
+  return null;
+}
+
+// Rate limits, timeouts, 5xx and dropped connections; never a 4xx like a bad
+// key or a missing index, which would fail the same way again.
+function isTransientError(err) {
+  if (!err || typeof err !== "object") return false;
+  const status = errorStatus(err);
+  if (status != null) return status === 408 || status === 429 || status >= 500;
+  if (TRANSIENT_ERROR_NAMES.has(err.name)) return true;
+  const code = err.code ?? err.cause?.code;
+  return TRANSIENT_ERROR_CODES.has(code);
+}
+
+function normalizeResilienceConfig(resilience = {}) {
+  const merged = { ...RESILIENCE_DEFAULTS, ...resilience };
+  for (const [key, value] of Object.entries(merged)) {
+    if (!(key in RESILIENCE_DEFAULTS)) throw new Error(`Unknown resilience option "${key}"`);
+    if (typeof value !== "number" || !Number.isFinite(value) || value < 0) {
+      throw new Error(`resilience.${key} must be a non-negative number`);
+    }
+  }
+  merged.failureThreshold = Math.max(1, Math.floor(merged.failureThreshold));
+  merged.retries = Math.floor(merged.retries);
+  return merged;
+}
+
+// Exponential backoff with full jitter: a random delay up to the capped
+// exponential step, so clients that failed together do not retry together.
+function backoffDelay(attempt, { baseDelayMs, maxDelayMs }, random = Math.random) {
+  return Math.round(random() * Math.min(maxDelayMs, baseDelayMs * 2 ** attempt));
+}
+
+function withTimeout(promise, ms, label) {
+  if (!ms) return promise;
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      const err = new Error(`${label} timed out after ${ms}ms`);
+      err.code = "CALL_TIMEOUT";
+      reject(err);
+    }, ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Wraps every call to one remote service. Transient failures are retried
+// with backoff; after `failureThreshold` calls in a row fail that way the
+// circuit opens and calls fail fast for `resetMs`, then a single trial call
+// decides whether it closes again. Other callers fail fast while the trial
+// is in flight.
+class CircuitBreaker {
+  constructor(name, options = {}, { now = Date.now, sleep = (ms) => new Promise((r) => setTimeout(r, ms)), random = Math.random } = {}) {
+    this.name = name;
+    this.options = normalizeResilienceConfig(options);
+    this.state = "closed";
+    this.failures = 0;
+    this.openedAt = null;
+    this.lastError = null;
+    this._trial = false;
+    this._closeListeners = [];
+    this._now = now;
+    this._sleep = sleep;
+    this._random = random;
+  }
+
+  _openError(reason) {
+    const err = new Error(`${this.name} unavailable (${reason}): ${this.lastError}`);
+    err.code = "CIRCUIT_OPEN";
+    return err;
+  }
+
+  // `overrides` may lower `retries` or `timeoutMs` for one call, e.g. on a
+  // latency-sensitive path.
+  async call(label, fn, overrides = {}) {
+    if (this.state === "open") {
+      const wait = this.openedAt + this.options.resetMs - this._now();
+      if (wait > 0) throw this._openError(`circuit open, retrying in ${Math.ceil(wait / 1000)}s`);
+      this.state = "half-open";
+    }
+    if (this.state === "half-open") {
+      if (this._trial) throw this._openError("circuit half-open, trial call in progress");
+      this._trial = true;
+    }
+    const trial = this.state === "half-open";
+
+    const retries = overrides.retries ?? this.options.retries;
+    const timeoutMs = overrides.timeoutMs ?? this.options.timeoutMs;
+    const attempts = trial ? 1 : retries + 1;
+    try {
+      for (let attempt = 0; ; attempt++) {
+        try {
+          const result = await withTimeout(fn(), timeoutMs, `${this.name} ${label}`);
+          this._close();
+          return result;
+        } catch (err) {
+          if (!isTransientError(err)) {
+            // The service answered, so it is up even though the call failed.
+            this._close();
+            throw err;
+          }
+          if (attempt + 1 >= attempts) {
+            this._recordFailure(err);
+            throw err;
+          }
+          await this._sleep(backoffDelay(attempt, this.options, this._random));
+        }
+      }
+    } finally {
+      if (trial) this._trial = false;
+    }
+  }
+
+  // Calls `listener` whenever the service recovers: a call succeeds after
+  // earlier ones failed, including the trial call that closes an open circuit.
+  onClose(listener) {
+    this._closeListeners.push(listener);
+  }
+
+  _close() {
+    const recovered = this.state !== "closed" || this.failures > 0;
+    this.state = "closed";
+    this.failures = 0;
+    if (!recovered) return;
+    for (const listener of this._closeListeners) {
+      try {
+        listener();
+      } catch {
+        // A listener never fails the call that closed the circuit.
+      }
+    }
+  }
+
+  _recordFailure(err) {
+    this.failures += 1;
+    this.lastError = err.message;
+    if (this.state === "half-open" || this.failures >= this.options.failureThreshold) {
+      this.state = "open";
+      this.openedAt = this._now();
+    }
+  }
+
+  status() {
+    const status = { name: this.name, state: this.state, failures: this.failures, lastError: this.lastError };
+    if (this.state === "open") status.retryAt = new Date(this.openedAt + this.options.resetMs).toISOString();
+    return status;
+  }
+}
+
+function formatBreakerStatus(status) {
+  const detail = status.state === "open"
+    ? ` until ${status.retryAt}`
+    : status.failures > 0 ? ` (${status.failures} recent failure${status.failures === 1 ? "" : "s"})` : "";
+  const error = status.lastError && status.state !== "closed" ? `; last error: ${status.lastError}` : "";
+  return `${status.state}${detail}${error}`;
+}
+
+// Routes an LLM client's chat.completions.create through a breaker, so every
+// LLM function gets retries and fails fast while the provider is down.
+// `overrides` apply to every call made through this client.
+function withBreaker(client, breaker, overrides = {}) {
+  const create = (params) => breaker.call("chat completion", () => client.chat.completions.create(params), overrides);
+  return { chat: { completions: { create } } };
+}
+
+// ---------------------------------------------------------------------------
+// Storage backends
+//
+// The hooks, tools and capture pipelines only ever talk to a backend through
+// this surface, so any object providing it can be plugged in:
+//
+//   indexName, namespace, deduplicationThreshold
+//   ensureIndex()                          → Promise<void>
+//   store(id, text, metadata)              → Promise<void>
+//   update(id, text, metadata)             → Promise<void>
+//   storeMany([{ id, text, metadata }])    → Promise<void>
+//   search(query, topK, threshold, filter, { rerank })
+//                                          → Promise<Array<{ _id, _score, content, ...metadata }>>
+//   get(id)                                → Promise<{ _id, content, ...metadata } | null>
+//   delete(id)                             → Promise<void>
+//   deleteMany(ids)                        → Promise<void>
+//   isDuplicate(text)                      → Promise<hit | null>
+//   scan(pageSize)                         → AsyncIterable<{ _id, content, ...metadata }>
+//   forNamespace(namespace)                → backend bound to that namespace (cached)
+// ---------------------------------------------------------------------------
+
+// ---------------------------------------------------------------------------
+// PineconeMemoryDB
+// ---------------------------------------------------------------------------
+
+const MAX_DELETE_BATCH = 1000;
+
+// Hosted rerank models accept a bounded number of documents per request.
+const MAX_RERANK_CANDIDATES = 100;
+
+function normalizeRerankConfig(rerank) {
+  if (!rerank || rerank.enabled === false) return null;
+  return {
+    model: rerank.model ?? "bge-reranker-v2-m3",
+    rankFields: rerank.rankFields ?? ["content"],
+    topN: rerank.topN ?? null,
+    overFetch: Math.max(1, rerank.overFetch ?? 4),
+  };
+}
+
+// Time bounds are checked after the query, so fetch extra candidates to keep
+// topK results available once out-of-range records are dropped.
+const TIME_RANGE_OVERFETCH = 3;
+
+// Namespace views cached per backend; the one used least recently is
+// dropped first and rebuilt if that namespace comes back.
+const NAMESPACE_VIEWS_CACHED = 500;
+
+// Returns the cached view of `root` for `namespace`, building it with
+// `create` on a miss.
+function cachedView(root, namespace, create) {
+  let view = root._views.get(namespace);
+  if (view) root._views.delete(namespace);
+  else view = create();
+  root._views.set(namespace, view);
+  if (root._views.size > NAMESPACE_VIEWS_CACHED) root._views.delete(root._views.keys().next().value);
+  return view;
+}
+
+class PineconeMemoryDB {
+  constructor(config) {
+    this.apiKey = resolveEnvVars(config.pineconeApiKey);
+    this.indexName = config.indexName ?? "openclaw-memory";
+    this.namespace = config.namespace ?? "default";
+    this.deduplicationThreshold = config.deduplicationThreshold ?? 0.95;
+    this.rerank = normalizeRerankConfig(config.rerank);
+    this.breaker = new CircuitBreaker("pinecone", config.resilience);
 
     this.client = new Pinecone({ apiKey: this.apiKey });
     this._index = null;
     this._ready = null;
+    this._root = this;
+    this._views = new Map();
+    this._indexChecked = null;
+  }
+
+  // Returns this DB bound to another namespace. Views share the client and
+  // the index check; each namespace gets one cached handle.
+  forNamespace(namespace) {
+    const root = this._root;
+    if (!namespace || namespace === root.namespace) return root;
+    return cachedView(root, namespace, () =>
+      Object.assign(Object.create(root), { namespace, _index: null, _ready: null }),
+    );
+  }
+
+  async ensureIndex() {
+    if (this._ready) return this._ready;
+
+    this._ready = (async () => {
+      await this._checkIndex();
+      this._index = this.client.index(this.indexName).namespace(this.namespace);
+    })();
+    // A failed check (Pinecone unreachable, say) is retried on the next call.
+    this._ready.catch(() => {
+      this._ready = null;
+    });
+
+    return this._ready;
+  }
+
+  // Every Pinecone request goes through the shared breaker (views inherit it).
+  _call(label, fn) {
+    return this.breaker.call(label, fn);
+  }
+
+  _checkIndex() {
+    const root = this._root;
+    root._indexChecked ??= (async () => {
+      const { indexes } = await this._call("listIndexes", () => this.client.listIndexes());
+      const exists = indexes?.some((idx) => idx.name === this.indexName);
+
+      if (!exists) {
+        throw new Error(
+          `Index "${this.indexName}" not found. Create it in the Pinecone dashboard with integrated inference and a field map of text → content.`
+        );
+      }
+    })();
+    root._indexChecked.catch(() => {
+      root._indexChecked = null;
+    });
+    return root._indexChecked;
+  }
+
+  async store(id, text, metadata = {}) {
+    await this.ensureIndex();
+    await this._call("upsert", () =>
+      this._index.upsertRecords({
+        records: [
+          {
+            _id: id,
+            content: text,
+            ...withExpiresAtMs(metadata),
+          },
+        ],
+      })
+    );
+  }
+
+  async update(id, text, metadata = {}) {
+    await this.store(id, text, metadata);
+  }
+
+  async storeMany(entries) {
+    await this.ensureIndex();
+    for (let i = 0; i < entries.length; i += MAX_UPSERT_BATCH) {
+      const records = entries
+        .slice(i, i + MAX_UPSERT_BATCH)
+        .map(({ id, text, metadata = {} }) => ({ _id: id, content: text, ...withExpiresAtMs(metadata) }));
+      await this._call("upsert", () => this._index.upsertRecords({ records }));
+    }
+  }
+
+  // With { rerank: true } and a rerank config, a wider candidate set is
+  // reranked server-side and the threshold applies to the rerank score.
+  async search(query, topK = 5, threshold = 0.3, filter = null, { rerank = false } = {}) {
+    await this.ensureIndex();
+    const spec = normalizeFilter(filter);
+    const hasTimeRange = spec != null && (spec.since != null || spec.until != null);
+    const wanted = hasTimeRange ? topK * TIME_RANGE_OVERFETCH : topK;
+    const useRerank = rerank && this.rerank != null;
+    const metadataFilter = toPineconeFilter(spec);
+    const request = {
+      topK: useRerank ? Math.min(MAX_RERANK_CANDIDATES, wanted * this.rerank.overFetch) : wanted,
+      inputs: { text: query },
+      filter: metadataFilter ? { $and: [metadataFilter, unexpiredFilter()] } : unexpiredFilter(),
+    };
+
+    const options = { query: request };
+    if (useRerank) {
+      options.rerank = {
+        model: this.rerank.model,
+        rankFields: this.rerank.rankFields,
+        topN: Math.min(request.topK, this.rerank.topN ?? wanted),
+        query,
+      };
+    }
+
+    const results = await this._call("search", () => this._index.searchRecords(options));
+
+    const hits = results.result?.hits ?? [];
+    return hits
+      .filter((hit) => hit._score >= threshold && !isExpired(hit) && matchesFilter(hit, spec))
+      .slice(0, topK);
+  }
+
+  async get(id) {
+    await this.ensureIndex();
+    const { records = {} } = await this._call("fetch", () => this._index.fetch({ ids: [id] }));
+    return records[id] ? { _id: id, ...records[id].metadata } : null;
+  }
+
+  async delete(id) {
+    await this.ensureIndex();
+    await this._call("delete", () => this._index.deleteOne(id));
+  }
+
+  async deleteMany(ids) {
+    await this.ensureIndex();
+    for (let i = 0; i < ids.length; i += MAX_DELETE_BATCH) {
+      const batch = ids.slice(i, i + MAX_DELETE_BATCH);
+      await this._call("delete", () => this._index.deleteMany({ ids: batch }));
+    }
+  }
+
+  // Pages through every id in the namespace and fetches the records behind
+  // them; integrated-inference fields come back as vector metadata.
+  async *scan(pageSize = 100) {
+    await this.ensureIndex();
+    let paginationToken;
+    do {
+      const token = paginationToken;
+      const page = await this._call("list", () => this._index.listPaginated({ limit: pageSize, paginationToken: token }));
+      const ids = (page.vectors ?? []).map((v) => v.id).filter(Boolean);
+      if (ids.length > 0) {
+        const { records = {} } = await this._call("fetch", () => this._index.fetch({ ids }));
+        for (const id of ids) {
+          if (records[id]) yield { _id: id, ...records[id].metadata };
+        }
+      }
+      paginationToken = page.pagination?.next;
+    } while (paginationToken);
+  }
+
+  async isDuplicate(text) {
+    const hits = await this.search(text, 1, this.deduplicationThreshold);
+    return hits.length > 0 ? hits[0] : null;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Local files — the store, history and write queue kept by the gateway
+// ---------------------------------------------------------------------------
+
+// How long a writer waits for another process's lock, and when a lock is
+// considered left behind by a crashed process.
+const FILE_LOCK_TIMEOUT_MS = 5000;
+const FILE_LOCK_STALE_MS = 30_000;
+
+// The configured path with env vars and a leading ~ expanded, or
+// ~/.openclaw/pinecone-memory/<fileName> when none is set.
+function resolveLocalPath(configured, fileName) {
+  const path = resolveEnvVars(configured);
+  return path ? path.replace(/^~(?=$|\/)/, homedir()) : join(homedir(), ".openclaw", "pinecone-memory", fileName);
+}
+
+// Holds `${path}.lock` while `fn` runs, so two processes (the gateway and a
+// CLI command) never change the file at once. A lock left behind by a
+// crashed process goes stale.
+async function withFileLock(path, label, fn) {
+  const lock = `${path}.lock`;
+  await mkdir(dirname(path), { recursive: true });
+  const deadline = Date.now() + FILE_LOCK_TIMEOUT_MS;
+  for (;;) {
+    try {
+      await writeFile(lock, String(process.pid), { flag: "wx" });
+      break;
+    } catch (err) {
+      if (err.code !== "EEXIST") throw err;
+      const info = await stat(lock).catch(() => null);
+      if (info && Date.now() - info.mtimeMs > FILE_LOCK_STALE_MS) {
+        await rm(lock, { force: true });
+        continue;
+      }
+      if (Date.now() > deadline) throw new Error(`${label} "${path}" is locked by ${lock}`);
+      await new Promise((resolve) => setTimeout(resolve, 25));
+    }
+  }
+  try {
+    return await fn();
+  } finally {
+    await rm(lock, { force: true });
+  }
+}
+
+// Parses a JSONL file, oldest line first; a missing file is empty.
+// Unparseable lines (e.g. a torn final write) are skipped.
+async function readJsonLines(path, label) {
+  let text;
+  try {
+    text = await readFile(path, "utf8");
+  } catch (err) {
+    if (err.code === "ENOENT") return [];
+    throw new Error(`${label} "${path}" is unreadable: ${err.message}`);
+  }
+  const items = [];
+  for (const line of text.split("\n")) {
+    if (!line.trim()) continue;
+    try {
+      items.push(JSON.parse(line));
+    } catch {
+      // skip
+    }
+  }
+  return items;
+}
+
+// ---------------------------------------------------------------------------
+// LocalMemoryDB — JSON file on disk, lexical scoring, no network
+// ---------------------------------------------------------------------------
+
+const LOCAL_STORE_VERSION = 1;
+// Default similarityThreshold for the local backend. Lexical scores of a
+// paraphrase sharing one or two content words sit well below the dense
+// scores the Pinecone default of 0.3 was tuned for.
+const LOCAL_SIMILARITY_THRESHOLD = 0.15;
+
+class LocalMemoryDB {
+  constructor(config) {
+    this.indexName = config.indexName ?? "openclaw-memory";
+    this.namespace = config.namespace ?? "default";
+    this.deduplicationThreshold = config.deduplicationThreshold ?? 0.95;
+    this.path = resolveLocalPath(config.localPath, `${this.indexName}.json`);
+
+    this._data = null;
+    this._loadedVersion = null;
+    this._ready = null;
+    this._writing = Promise.resolve();
+    this._root = this;
+    this._views = new Map();
+  }
+
+  // Views for other namespaces share the loaded file and the write chain.
+  forNamespace(namespace) {
+    const root = this._root;
+    if (!namespace || namespace === root.namespace) return root;
+    return cachedView(root, namespace, () => Object.assign(Object.create(root), { namespace }));
+  }
+
+  // The file may be shared with another process (the gateway and a CLI
+  // command), so it is reloaded whenever it changed on disk since it was
+  // last read. A failed load is retried on the next call.
+  async ensureIndex() {
+    const root = this._root;
+    root._ready ??= (async () => {
+      try {
+        const version = await root._fileVersion();
+        if (!root._data || version !== root._loadedVersion) {
+          root._data = await root._readData();
+          root._loadedVersion = version;
+        }
+      } finally {
+        root._ready = null;
+      }
+    })();
+
+    await root._ready;
+    root._data.namespaces[this.namespace] ??= {};
+  }
+
+  async _fileVersion() {
+    try {
+      const info = await stat(this.path);
+      return `${info.mtimeMs}:${info.size}`;
+    } catch (err) {
+      if (err.code === "ENOENT") return null;
+      throw err;
+    }
+  }
+
+  async _readData() {
+    let data;
+    try {
+      data = JSON.parse(await readFile(this.path, "utf8"));
+    } catch (err) {
+      if (err.code !== "ENOENT") {
+        throw new Error(`Local memory store "${this.path}" is unreadable: ${err.message}`);
+      }
+      data = { version: LOCAL_STORE_VERSION, namespaces: {} };
+    }
+    data.namespaces ??= {};
+    return data;
+  }
+
+  get _records() {
+    return this._root._data.namespaces[this.namespace];
+  }
+
+  // Applies `change` to this namespace's records on a fresh read of the file
+  // and saves it under the lock, so changes another process made in the
+  // meantime are kept. Writes are chained so concurrent calls in this
+  // process never interleave; the temp-file rename keeps the previous copy
+  // intact if the process dies mid-write.
+  _mutate(change) {
+    const root = this._root;
+    const namespace = this.namespace;
+    root._writing = root._writing.catch(() => {}).then(() =>
+      withFileLock(root.path, "Local memory store", async () => {
+        const data = await root._readData();
+        data.namespaces[namespace] ??= {};
+        change(data.namespaces[namespace]);
+        const tmp = `${root.path}.tmp`;
+        await writeFile(tmp, JSON.stringify(data, null, 2));
+        await rename(tmp, root.path);
+        root._data = data;
+        root._loadedVersion = await root._fileVersion();
+      })
+    );
+    return root._writing;
+  }
+
+  async store(id, text, metadata = {}) {
+    await this._mutate((records) => {
+      records[id] = { _id: id, content: text, ...metadata };
+    });
+  }
+
+  async update(id, text, metadata = {}) {
+    await this.store(id, text, metadata);
+  }
+
+  async storeMany(entries) {
+    await this._mutate((records) => {
+      for (const { id, text, metadata = {} } of entries) {
+        records[id] = { _id: id, content: text, ...metadata };
+      }
+    });
+  }
+
+  // Lexical scoring has no hosted reranker; the rerank option is ignored.
+  async search(query, topK = 5, threshold = LOCAL_SIMILARITY_THRESHOLD, filter = null) {
+    await this.ensureIndex();
+    const spec = normalizeFilter(filter);
+    return Object.values(this._records)
+      .filter((record) => !isExpired(record) && matchesFilter(record, spec))
+      .map((record) => ({ ...record, _score: lexicalScore(query, record.content ?? "") }))
+      .filter((hit) => hit._score >= threshold)
+      .sort((a, b) => b._score - a._score)
+      .slice(0, topK);
+  }
+
+  async get(id) {
+    await this.ensureIndex();
+    const record = this._records[id];
+    return record ? { ...record } : null;
+  }
+
+  async delete(id) {
+    await this.deleteMany([id]);
+  }
+
+  async deleteMany(ids) {
+    await this._mutate((records) => {
+      for (const id of ids) delete records[id];
+    });
+  }
+
+  async *scan() {
+    await this.ensureIndex();
+    for (const record of Object.values(this._records)) yield { ...record };
+  }
+
+  async isDuplicate(text) {
+    const hits = await this.search(text, 1, this.deduplicationThreshold);
+    return hits.length > 0 ? hits[0] : null;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// History — append-only JSONL log of memory changes
+// ---------------------------------------------------------------------------
+
+class MemoryHistory {
+  constructor(config = {}) {
+    const indexName = config.indexName ?? "openclaw-memory";
+    this.path = resolveLocalPath(config.historyPath, `${indexName}.history.jsonl`);
+    this._writing = Promise.resolve();
+  }
+
+  // Appends are chained so entries land in the order they were recorded.
+  record(entry) {
+    const line = JSON.stringify({ timestamp: new Date().toISOString(), ...entry });
+    this._writing = this._writing.catch(() => {}).then(async () => {
+      await mkdir(dirname(this.path), { recursive: true });
+      await appendFile(this.path, `${line}\n`);
+    });
+    return this._writing;
+  }
+
+  // Newest first.
+  async list({ memoryId, namespace, limit = 20 } = {}) {
+    const entries = await readJsonLines(this.path, "History file");
+    return entries
+      .filter((entry) => (!memoryId || entry.memoryId === memoryId) && (!namespace || entry.namespace === namespace))
+      .reverse()
+      .slice(0, limit);
+  }
+}
+
+// A failed history write is logged but never fails the change it describes.
+async function recordChange(history, logger, entry) {
+  if (!history) return;
+  try {
+    await history.record(entry);
+  } catch (err) {
+    logger.warn(`pinecone-memory: failed to record history: ${err.message}`);
+  }
+}
+
+function formatHistoryEntry(entry) {
+  const quote = (text) => `"${String(text ?? "").slice(0, 120)}"`;
+  const change =
+    entry.event === "ADD" ? quote(entry.newText)
+      : entry.event === "DELETE" ? quote(entry.oldText)
+        : `${quote(entry.oldText)} -> ${quote(entry.newText)}`;
+  const origin = [entry.source, entry.session && `session ${entry.session}`].filter(Boolean).join(", ");
+  const archived = entry.event === "DELETE" && entry.archived ? " [archived]" : "";
+  return `${entry.timestamp} ${entry.event} ${entry.memoryId} (${origin}): ${change}${archived}`;
+}
+
+// ---------------------------------------------------------------------------
+// Archive (soft delete)
+// ---------------------------------------------------------------------------
+
+// Deleted memories move to a sibling namespace, which recall never queries.
+const ARCHIVE_SUFFIX = "__archive";
+
+function archiveNamespaceFor(namespace) {
+  return `${namespace}${ARCHIVE_SUFFIX}`;
+}
+
+// Splits a fetched record into its text and the metadata to store with it,
+// dropping the transient _id/_score style fields.
+function recordParts(record) {
+  const metadata = Object.fromEntries(Object.entries(record).filter(([key]) => !key.startsWith("_")));
+  const content = extractHitContent(record);
+  delete metadata.content;
+  return { content, metadata };
+}
+
+// Moves a memory into the archive under the same id. Returns the original
+// record, or null when nothing is stored under `id`.
+async function archiveMemory(db, id, now = new Date()) {
+  const plan = await planRemove(db, id, true, now);
+  if (!plan.archived) return null;
+  await writePlans([plan]);
+  return plan.archived;
+}
+
+// Moves an archived memory back. Returns the restored record, or null when
+// the archive has no such id.
+async function restoreMemory(db, id) {
+  const archive = db.forNamespace(archiveNamespaceFor(db.namespace));
+  const record = await archive.get(id);
+  if (!record) return null;
+  const { content, metadata } = recordParts(record);
+  delete metadata.archivedAt;
+  await db.store(id, content, metadata);
+  await archive.delete(id);
+  return record;
+}
+
+// ---------------------------------------------------------------------------
+// Versions
+// ---------------------------------------------------------------------------
+
+// Superseded versions live in a sibling namespace under `<id>#<version>`.
+const VERSIONS_SUFFIX = "__versions";
+
+function versionsNamespaceFor(namespace) {
+  return `${namespace}${VERSIONS_SUFFIX}`;
+}
+
+function versionId(id, version) {
+  return `${id}#${version}`;
+}
+
+function currentVersion(record) {
+  const version = Number(record?.version);
+  return Number.isInteger(version) && version > 0 ? version : 1;
+}
+
+// Updates a memory, first snapshotting the stored text as its current
+// version. Returns the replaced record, or null when `id` was not stored
+// (the update is then written as-is).
+async function updateMemory(db, id, text, metadata = {}, now = new Date()) {
+  const plan = await planUpdate(db, id, text, metadata, now);
+  await writePlans([plan]);
+  return plan.replaced;
+}
+
+// Prior versions of a memory, oldest first.
+async function listVersions(db, id) {
+  const current = await db.get(id);
+  if (!current) return [];
+  const store = db.forNamespace(versionsNamespaceFor(db.namespace));
+  const versions = [];
+  for (let version = 1; version < currentVersion(current); version++) {
+    const snapshot = await store.get(versionId(id, version));
+    if (snapshot) versions.push(snapshot);
   }
+  return versions;
+}
 
-  async ensureIndex() {
-    if (this._ready) return this._ready;
+// Rolling back writes the old text as a new version, so the rollback itself
+// can be undone. Returns { from, to } records, or null when either is missing.
+async function rollbackMemory(db, id, version) {
+  const current = await db.get(id);
+  if (!current) return null;
+  const target = version ?? currentVersion(current) - 1;
+  if (target < 1 || target >= currentVersion(current)) return null;
+  const snapshot = await db.forNamespace(versionsNamespaceFor(db.namespace)).get(versionId(id, target));
+  if (!snapshot) return null;
+  const { content, metadata } = recordParts(snapshot);
+  delete metadata.memoryId;
+  delete metadata.version;
+  delete metadata.supersededAt;
+  await updateMemory(db, id, content, { ...metadata, updatedAt: new Date().toISOString() });
+  return { from: current, to: snapshot };
+}
 
-    this._ready = (async () => {
-      const { indexes } = await this.client.listIndexes();
-      const exists = indexes?.some((idx) => idx.name === this.indexName);
+// Soft delete archives the memory when it can be fetched; otherwise (or with
+// soft delete off) it is deleted outright. Returns the archived record or null.
+async function removeMemory(db, id, softDelete) {
+  const plan = await planRemove(db, id, softDelete);
+  await writePlans([plan]);
+  return plan.archived;
+}
 
-      if (!exists) {
-        throw new Error(
-          `Index "${this.indexName}" not found. Create it in the Pinecone dashboard with integrated inference and a field map of text → content.`
-        );
-      }
+// ---------------------------------------------------------------------------
+// Batched writes
+//
+// A write plan lists everything one change needs written, worked out from
+// reads alone:
+//
+//   { upserts: [{ db, id, text, metadata }], deletes: [{ db, id }] }
+//
+// The capture pipelines plan a whole turn's decisions concurrently, then
+// write them together with one storeMany and one deleteMany per namespace.
+// ---------------------------------------------------------------------------
 
-      this._index = this.client.index(this.indexName).namespace(this.namespace);
-    })();
+// Nearby-searches and reads the capture pipelines run at once.
+const CAPTURE_CONCURRENCY = 4;
 
-    return this._ready;
+function planStore(db, id, text, metadata = {}) {
+  return { upserts: [{ db, id, text, metadata }], deletes: [] };
+}
+
+// The writes of updateMemory: a snapshot of the current record in the
+// versions namespace, then the new text. `replaced` is the current record.
+async function planUpdate(db, id, text, metadata = {}, now = new Date()) {
+  const current = await db.get(id);
+  if (!current) return { replaced: null, ...planStore(db, id, text, metadata) };
+  const version = currentVersion(current);
+  const { content, metadata: previous } = recordParts(current);
+  const snapshot = {
+    db: db.forNamespace(versionsNamespaceFor(db.namespace)),
+    id: versionId(id, version),
+    text: content,
+    metadata: { ...previous, memoryId: id, version, supersededAt: now.toISOString() },
+  };
+  return {
+    replaced: current,
+    upserts: [snapshot, { db, id, text, metadata: { ...metadata, version: version + 1 } }],
+    deletes: [],
+  };
+}
+
+// The writes of removeMemory. `archived` is the record copied to the
+// archive, or null when it is deleted outright.
+async function planRemove(db, id, softDelete, now = new Date()) {
+  const record = softDelete ? await db.get(id) : null;
+  const deletes = [{ db, id }];
+  if (!record) return { archived: null, upserts: [], deletes };
+  const { content, metadata } = recordParts(record);
+  return {
+    archived: record,
+    upserts: [{ db: db.forNamespace(archiveNamespaceFor(db.namespace)), id, text: content, metadata: { ...metadata, archivedAt: now.toISOString() } }],
+    deletes,
+  };
+}
+
+function mergePlans(...plans) {
+  return { upserts: plans.flatMap((plan) => plan.upserts), deletes: plans.flatMap((plan) => plan.deletes) };
+}
+
+function groupByDb(ops) {
+  const groups = new Map();
+  for (const op of ops) {
+    if (!groups.has(op.db)) groups.set(op.db, []);
+    groups.get(op.db).push(op);
   }
+  return groups;
+}
 
-  async store(id, text, metadata = {}) {
-    await this.ensureIndex();
-    await this._index.upsertRecords({
-      records: [
-        {
-          _id: id,
-          content: text,
-          ...metadata,
-        },
-      ],
+// Upserts go first so an archive copy or version snapshot exists before the
+// record it preserves is deleted or overwritten.
+async function writePlans(plans) {
+  for (const [db, ops] of groupByDb(plans.flatMap((plan) => plan.upserts))) {
+    await db.storeMany(ops.map(({ id, text, metadata }) => ({ id, text, metadata })));
+  }
+  for (const [db, ops] of groupByDb(plans.flatMap((plan) => plan.deletes))) {
+    if (ops.length === 1) await db.delete(ops[0].id);
+    else await db.deleteMany(ops.map((op) => op.id));
+  }
+}
+
+// Writes all plans in one batch. When the batch fails, each plan is retried
+// on its own so a bad write only fails its own change. Returns, per plan,
+// null on success or the error that failed it.
+async function flushPlans(plans) {
+  if (plans.length === 0) return [];
+  try {
+    await writePlans(plans);
+    return plans.map(() => null);
+  } catch (err) {
+    if (plans.length === 1) return [err];
+    const errors = [];
+    for (const plan of plans) {
+      try {
+        await writePlans([plan]);
+        errors.push(null);
+      } catch (planErr) {
+        errors.push(planErr);
+      }
+    }
+    return errors;
+  }
+}
+
+// Splits items into rounds in which no memory id appears twice, so a second
+// change to the same memory is planned against the result of the first.
+function conflictFreeRounds(items, idOf) {
+  const rounds = [];
+  for (const item of items) {
+    const id = idOf(item);
+    let round = id == null ? rounds[0] : rounds.find((r) => !r.ids.has(id));
+    if (!round) {
+      round = { items: [], ids: new Set() };
+      rounds.push(round);
+    }
+    round.items.push(item);
+    if (id != null) round.ids.add(id);
+  }
+  return rounds.map((round) => round.items);
+}
+
+// Plans each change ({ id, ... }) with `planChange`, which resolves to an
+// object with a `plan`, and writes each round in one batch. Returns the
+// planned changes whose writes went through, in order; failures go to
+// `onFailed(change, err)` and do not stop the rest.
+async function writeChanges(changes, planChange, { concurrency = CAPTURE_CONCURRENCY, onFailed } = {}) {
+  const written = [];
+  for (const round of conflictFreeRounds(changes, (change) => change.id)) {
+    const planned = await mapConcurrent(round, concurrency, async (change) => {
+      try {
+        return { change, ...(await planChange(change)) };
+      } catch (err) {
+        onFailed?.(change, err);
+        return null;
+      }
     });
+    const ready = planned.filter(Boolean);
+    const errors = await flushPlans(ready.map((item) => item.plan));
+    for (const [i, item] of ready.entries()) {
+      if (errors[i]) onFailed?.(item.change, errors[i]);
+      else written.push(item);
+    }
   }
+  return written;
+}
 
-  async update(id, text, metadata = {}) {
-    await this.store(id, text, metadata);
+// ---------------------------------------------------------------------------
+// Write operations
+//
+// What the capture pipelines decided to write, before any reads, in a form
+// that can be queued and replayed later:
+//
+//   { op: "store",  namespace, id, text, metadata, dedupe? }
+//   { op: "update", namespace, id, text, metadata, oldText? }
+//   { op: "delete", namespace, id, archive, oldText? }
+//
+// plus the `source` and `session` their history entries carry. `oldText` is
+// the caller's copy of the text being replaced, used when the stored one
+// cannot be read. A `dedupe` store is dropped if an identical memory exists
+// by the time it is planned.
+// ---------------------------------------------------------------------------
+
+// Resolves to { plan, entry }, or null for a dedupe store that is no longer needed.
+async function planWriteOp(db, op, { history = null } = {}) {
+  const target = db.forNamespace(op.namespace);
+  switch (op.op) {
+    case "store": {
+      if (op.dedupe && (await target.isDuplicate(op.text))) return null;
+      return {
+        plan: planStore(target, op.id, op.text, op.metadata),
+        entry: { event: "ADD", memoryId: op.id, newText: op.text, category: op.metadata?.category },
+      };
+    }
+    case "update": {
+      const plan = await planUpdate(target, op.id, op.text, op.metadata);
+      const oldText = extractHitContent(plan.replaced) || op.oldText || null;
+      return { plan, entry: { event: "UPDATE", memoryId: op.id, oldText, newText: op.text, category: op.metadata?.category } };
+    }
+    case "delete": {
+      const plan = await planRemove(target, op.id, op.archive);
+      // A hard delete reads nothing, so the old text is fetched for the history only.
+      const previous = plan.archived ?? (history ? await target.get(op.id) : null);
+      const oldText = extractHitContent(previous) || op.oldText || null;
+      return { plan, entry: { event: "DELETE", memoryId: op.id, oldText, archived: Boolean(plan.archived) } };
+    }
+    default:
+      throw new Error(`Unknown write operation "${op.op}"`);
   }
+}
 
-  async search(query, topK = 5, threshold = 0.3) {
-    await this.ensureIndex();
-    const results = await this._index.searchRecords({
-      query: { topK, inputs: { text: query } },
+function historyEntryFor(op, entry) {
+  return { namespace: op.namespace, source: op.source ?? null, session: op.session ?? null, ...entry };
+}
+
+// A circuit that is open or a call that may succeed later; the write is
+// worth queueing rather than dropping.
+function isUnavailableError(err) {
+  return err?.code === "CIRCUIT_OPEN" || isTransientError(err);
+}
+
+// Plans, writes and records a turn's changes, each { event, id, ops } for one
+// decision. Changes that fail because the backend is unavailable have their
+// ops appended to `queue`, when there is one. Resolves to one outcome per
+// change: "written", "skipped" (nothing left to write), "queued" or "failed".
+async function commitChanges(db, changes, { logger, history = null, queue = null, concurrency = CAPTURE_CONCURRENCY } = {}) {
+  const outcomes = new Map();
+  const unavailable = [];
+  const planChange = async (change) => {
+    const planned = [];
+    for (const op of change.ops) {
+      const result = await planWriteOp(db, op, { history });
+      if (result) planned.push({ plan: result.plan, entry: historyEntryFor(op, result.entry) });
+    }
+    return { plan: mergePlans(...planned.map((p) => p.plan)), entries: planned.map((p) => p.entry) };
+  };
+
+  const written = await writeChanges(changes, planChange, {
+    concurrency,
+    onFailed: (change, err) => {
+      if (queue && isUnavailableError(err)) {
+        unavailable.push(change);
+        return;
+      }
+      logger.warn(`pinecone-memory: failed to apply ${change.event} decision: ${err.message}`);
+      outcomes.set(change, "failed");
+    },
+  });
+  for (const { change, entries } of written) {
+    for (const entry of entries) await recordChange(history, logger, entry);
+    outcomes.set(change, entries.length > 0 ? "written" : "skipped");
+  }
+  if (unavailable.length > 0) {
+    const queued = await enqueueWrites(queue, logger, unavailable.flatMap((change) => change.ops));
+    for (const change of unavailable) outcomes.set(change, queued ? "queued" : "failed");
+  }
+  return changes.map((change) => outcomes.get(change));
+}
+
+// ---------------------------------------------------------------------------
+// Write queue — JSONL journal of writes made while the backend was down
+// ---------------------------------------------------------------------------
+
+// The gateway appends while a CLI `queue flush` may be replaying, so every
+// change to the file is made under its lock file, and within one process
+// the changes also run one at a time, in call order.
+class WriteQueue {
+  constructor(config = {}) {
+    const indexName = config.indexName ?? "openclaw-memory";
+    this.path = resolveLocalPath(config.queuePath, `${indexName}.queue.jsonl`);
+    this._busy = Promise.resolve();
+  }
+
+  _exclusive(fn) {
+    const run = this._busy.catch(() => {}).then(fn);
+    this._busy = run;
+    return run;
+  }
+
+  _locked(fn) {
+    return withFileLock(this.path, "Write queue", fn);
+  }
+
+  // Oldest first.
+  _read() {
+    return readJsonLines(this.path, "Write queue");
+  }
+
+  // Rewritten through a temp file so a crash leaves the old queue intact.
+  async _write(ops) {
+    if (ops.length === 0) {
+      await rm(this.path, { force: true });
+      return;
+    }
+    await mkdir(dirname(this.path), { recursive: true });
+    const tmp = `${this.path}.tmp`;
+    await writeFile(tmp, ops.map((op) => `${JSON.stringify(op)}\n`).join(""));
+    await rename(tmp, this.path);
+  }
+
+  enqueue(ops) {
+    const queuedAt = new Date().toISOString();
+    const lines = ops.map((op) => `${JSON.stringify({ queuedAt, ...op })}\n`).join("");
+    return this._exclusive(() => this._locked(() => appendFile(this.path, lines)));
+  }
+
+  list() {
+    return this._exclusive(() => this._read());
+  }
+
+  // Resolves to the number of writes discarded.
+  clear() {
+    return this._exclusive(() =>
+      this._locked(async () => {
+        const ops = await this._read();
+        await this._write([]);
+        return ops.length;
+      })
+    );
+  }
+
+  // Hands the queued ops to `fn` and keeps the ones it resolves to. A replay
+  // can take a while on the network, so the lock is not held while `fn`
+  // runs: the file is read again afterwards, ops appended in the meantime
+  // are kept after the returned ones, and ops another process removed in
+  // the meantime stay removed.
+  update(fn) {
+    return this._exclusive(async () => {
+      const ops = await this._locked(() => this._read());
+      if (ops.length === 0) return;
+      const kept = await fn(ops);
+      await this._locked(async () => {
+        const current = await this._read();
+        const present = countOps(current);
+        const read = countOps(ops);
+        const appended = current.filter((op) => !takeOp(read, op));
+        await this._write([...kept.filter((op) => takeOp(present, op)), ...appended]);
+      });
     });
+  }
+}
 
-    const hits = results.result?.hits ?? [];
-    return hits.filter((hit) => hit._score >= threshold);
+// Multiset of queued ops by their serialized form, for matching the ops of
+// two reads of the queue file.
+function countOps(ops) {
+  const counts = new Map();
+  for (const op of ops) {
+    const key = JSON.stringify(op);
+    counts.set(key, (counts.get(key) ?? 0) + 1);
   }
+  return counts;
+}
 
-  async delete(id) {
-    await this.ensureIndex();
-    await this._index.deleteOne(id);
+function takeOp(counts, op) {
+  const key = JSON.stringify(op);
+  const count = counts.get(key) ?? 0;
+  if (count === 0) return false;
+  counts.set(key, count - 1);
+  return true;
+}
+
+// A queue that cannot be written to loses the writes; resolves to whether
+// they were queued.
+async function enqueueWrites(queue, logger, ops) {
+  try {
+    await queue.enqueue(ops);
+    logger.warn(`pinecone-memory: backend unavailable; queued ${ops.length} write(s) for replay`);
+    return true;
+  } catch (err) {
+    logger.warn(`pinecone-memory: failed to queue ${ops.length} write(s): ${err.message}`);
+    return false;
   }
+}
 
-  async isDuplicate(text) {
-    const hits = await this.search(text, 1, this.deduplicationThreshold);
-    return hits.length > 0 ? hits[0] : null;
+// Replays queued writes oldest first, one at a time so each is planned
+// against the result of the last. Stops at the first write that fails
+// because the backend is still unavailable and keeps it and everything after
+// it; a write that fails for any other reason is dropped with a warning.
+async function replayWriteQueue(queue, db, logger, { history = null } = {}) {
+  const result = { replayed: 0, skipped: 0, failed: 0, remaining: 0 };
+  await queue.update(async (ops) => {
+    for (const [i, op] of ops.entries()) {
+      try {
+        const planned = await planWriteOp(db, op, { history });
+        if (!planned) {
+          result.skipped += 1;
+          continue;
+        }
+        await writePlans([planned.plan]);
+        await recordChange(history, logger, historyEntryFor(op, planned.entry));
+        result.replayed += 1;
+      } catch (err) {
+        if (isUnavailableError(err)) {
+          result.remaining = ops.length - i;
+          return ops.slice(i);
+        }
+        logger.warn(`pinecone-memory: dropping queued ${op.op} of ${op.id}: ${err.message}`);
+        result.failed += 1;
+      }
+    }
+    return [];
+  });
+  return result;
+}
+
+function formatQueuedWrite(op) {
+  const quote = (text) => `"${String(text ?? "").slice(0, 100)}"`;
+  const target = `${op.id} (${op.namespace})`;
+  const change =
+    op.op === "delete" ? `${op.archive ? "archive" : "delete"}${op.oldText ? ` ${quote(op.oldText)}` : ""}`
+      : `${quote(op.text)}${op.dedupe ? " [if new]" : ""}`;
+  return `${op.queuedAt} ${String(op.op).toUpperCase()} ${target}: ${change}`;
+}
+
+// ---------------------------------------------------------------------------
+// Incremental capture — which messages each session has already captured
+// ---------------------------------------------------------------------------
+
+// Most recent messages capture looks at per turn, unless captureWindow is set.
+const CAPTURE_WINDOW = 10;
+// Sessions tracked at once; the one captured least recently is forgotten first.
+const CAPTURE_TRACKED_SESSIONS = 500;
+
+function messageHash(msg) {
+  return createHash("sha256").update(`${msg.role}\n${messageText(msg)}`).digest("base64url");
+}
+
+// agent_end hands over the whole conversation every turn. The tracker keeps
+// the hashes of the window last captured in each session, so a turn only
+// extracts from messages that were not in it. A message identical to one
+// already captured counts as seen, since it would yield the same facts.
+class CaptureTracker {
+  constructor({ window = CAPTURE_WINDOW, maxSessions = CAPTURE_TRACKED_SESSIONS } = {}) {
+    this.window = window;
+    this.maxSessions = maxSessions;
+    this._seen = new Map();
+  }
+
+  // Returns the new messages among the last `window`, and `done()` to call
+  // once they are captured; until then a retry sees them as new again.
+  take(session, messages, window = this.window) {
+    const recent = messages.slice(-window);
+    const hashes = recent.map(messageHash);
+    const seen = this._seen.get(session);
+    return {
+      messages: seen ? recent.filter((_, i) => !seen.has(hashes[i])) : recent,
+      done: () => {
+        this._seen.delete(session);
+        this._seen.set(session, new Set(hashes));
+        if (this._seen.size > this.maxSessions) this._seen.delete(this._seen.keys().next().value);
+      },
+    };
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Background capture — debounced per session
+// ---------------------------------------------------------------------------
+
+// How long a session must be quiet before its turns are captured.
+const CAPTURE_DEBOUNCE_MS = 1500;
+
+// Holds the latest payload scheduled for each key (a session) and runs it
+// once no newer one has arrived for `debounceMs`, with the number of
+// payloads it replaced. agent_end sends the whole conversation each turn, so
+// the latest payload covers the turns before it. Runs for one key never
+// overlap; runs for different keys do.
+class CaptureWorker {
+  constructor(run, { debounceMs = CAPTURE_DEBOUNCE_MS } = {}) {
+    this._run = run;
+    this.debounceMs = debounceMs;
+    this._pending = new Map();
+    this._running = new Map();
+  }
+
+  get pending() {
+    return this._pending.size;
+  }
+
+  schedule(key, payload) {
+    const previous = this._pending.get(key);
+    if (previous) clearTimeout(previous.timer);
+    const timer = setTimeout(() => this.flush(key), this.debounceMs);
+    this._pending.set(key, { payload, turns: (previous?.turns ?? 0) + 1, timer });
+  }
+
+  // Runs the key's pending payload now, after any run already in progress.
+  // Resolves once both are done. `run` is expected to handle its own errors.
+  flush(key) {
+    const previous = this._running.get(key) ?? Promise.resolve();
+    const pending = this._pending.get(key);
+    if (!pending) return previous;
+    clearTimeout(pending.timer);
+    this._pending.delete(key);
+    const run = previous
+      .then(() => this._run(pending.payload, pending.turns))
+      .finally(() => {
+        if (this._running.get(key) === run) this._running.delete(key);
+      });
+    this._running.set(key, run);
+    return run;
+  }
+
+  // Flushes every key, including turns that arrive while draining.
+  async drain() {
+    while (this._pending.size > 0 || this._running.size > 0) {
+      const keys = new Set([...this._pending.keys(), ...this._running.keys()]);
+      await Promise.allSettled([...keys].map((key) => this.flush(key)));
+    }
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Consolidation — merging near-duplicate memories
+// ---------------------------------------------------------------------------
+
+// Looser than deduplicationThreshold: paraphrases, not restatements.
+const CONSOLIDATE_THRESHOLD = 0.85;
+// Neighbors fetched per memory, which also caps a cluster's size.
+const CONSOLIDATE_TOP_K = 10;
+
+function capturedTime(record) {
+  const time = Date.parse(record.capturedAt ?? "");
+  return Number.isNaN(time) ? Infinity : time;
+}
+
+// Searches each memory's neighbors, then, oldest memory first, groups each
+// one still unclaimed with its unclaimed neighbors scoring >= `threshold`.
+// Clusters form around one memory rather than chaining, so "Uses pnpm" and
+// "Uses npm" do not end up together through a memory similar to both.
+// Returns clusters of two or more records, each oldest first.
+async function clusterMemories(db, records, { threshold = CONSOLIDATE_THRESHOLD, topK = CONSOLIDATE_TOP_K, concurrency = CAPTURE_CONCURRENCY } = {}) {
+  const byId = new Map(records.map((record) => [record._id, record]));
+  const neighbors = new Map();
+  await mapConcurrent(records, concurrency, async (record) => {
+    const hits = await db.search(extractHitContent(record), topK, threshold);
+    const ids = hits.filter((hit) => hit._id !== record._id && hit._score >= threshold && byId.has(hit._id)).map((hit) => hit._id);
+    neighbors.set(record._id, ids);
+  });
+
+  const oldestFirst = [...records].sort((a, b) => capturedTime(a) - capturedTime(b));
+  const claimed = new Set();
+  const clusters = [];
+  for (const record of oldestFirst) {
+    if (claimed.has(record._id)) continue;
+    const members = [record, ...neighbors.get(record._id).filter((id) => !claimed.has(id)).map((id) => byId.get(id))];
+    if (members.length < 2) continue;
+    for (const member of members) claimed.add(member._id);
+    clusters.push(members.sort((a, b) => capturedTime(a) - capturedTime(b)));
+  }
+  return clusters;
+}
+
+// Without an LLM the most informative member speaks for the cluster: the one
+// with the most distinct words, then the longest, then the newest.
+function pickRepresentativeText(texts) {
+  const informative = (text) => new Set(tokenize(text)).size;
+  return texts.reduce((best, text) =>
+    informative(text) > informative(best) || (informative(text) === informative(best) && text.length >= best.length) ? text : best
+  );
+}
+
+// One merge per cluster: the oldest memory keeps its id and takes the merged
+// text, and the others are deleted (archived with softDelete). `merge`
+// rewrites the members' texts (oldest first) as one, or resolves to ""
+// to fall back to the most informative member.
+async function proposeMerges(clusters, merge = null, { logger } = {}) {
+  const proposals = [];
+  for (const members of clusters) {
+    const texts = members.map((member) => extractHitContent(member));
+    let text = "";
+    if (merge) {
+      try {
+        text = await merge(texts);
+      } catch (err) {
+        logger?.warn(`pinecone-memory: LLM merge failed, keeping the most informative memory: ${err.message}`);
+      }
+    }
+    proposals.push({ keep: members[0], remove: members.slice(1), text: text || pickRepresentativeText(texts) });
+  }
+  return proposals;
+}
+
+function formatMergeProposal(proposal, index) {
+  const quote = (text) => `"${String(text ?? "").slice(0, 120)}"`;
+  const members = [proposal.keep, ...proposal.remove];
+  return [
+    `Cluster ${index + 1} (${members.length} memories, kept as ${proposal.keep._id}):`,
+    ...members.map((member) => `  - ${member._id} ${quote(extractHitContent(member))}`),
+    `  + ${quote(proposal.text)}`,
+  ].join("\n");
+}
+
+// The write ops of one merge. The kept memory is only rewritten when its
+// text changes; its earliest capture time is kept and its old text becomes a
+// version.
+function mergeOps(db, proposal, { softDelete = false, now = new Date() } = {}) {
+  const op = (fields) => ({ namespace: db.namespace, source: "consolidate", session: null, ...fields });
+  const ops = [];
+  const keptText = extractHitContent(proposal.keep);
+  if (proposal.text !== keptText) {
+    const { metadata } = recordParts(proposal.keep);
+    const capturedAt = [proposal.keep, ...proposal.remove]
+      .map((member) => member.capturedAt)
+      .filter(Boolean)
+      .sort()[0];
+    ops.push(op({
+      op: "update",
+      id: proposal.keep._id,
+      text: proposal.text,
+      metadata: { ...metadata, ...(capturedAt ? { capturedAt } : {}), updatedAt: now.toISOString() },
+      oldText: keptText,
+    }));
+  }
+  for (const member of proposal.remove) {
+    ops.push(op({ op: "delete", id: member._id, archive: softDelete, oldText: extractHitContent(member) }));
+  }
+  return ops;
+}
+
+// Applies merges through the capture write path, so replaced texts become
+// versions, removed memories are archived, and every change is recorded in
+// the history. Resolves to the number of merges written.
+async function applyMerges(db, proposals, { logger, history = null, softDelete = false, concurrency = CAPTURE_CONCURRENCY } = {}) {
+  const changes = proposals.map((proposal) => ({ event: "MERGE", id: proposal.keep._id, ops: mergeOps(db, proposal, { softDelete }) }));
+  const outcomes = await commitChanges(db, changes, { logger, history, concurrency });
+  return outcomes.filter((outcome) => outcome === "written").length;
+}
+
+// ---------------------------------------------------------------------------
+// Namespace routing
+// ---------------------------------------------------------------------------
+
+const NAMESPACE_VAR = /\$\{([A-Za-z_][A-Za-z0-9_]*)\}/g;
+
+function isNamespaceTemplate(namespace) {
+  return typeof namespace === "string" && /\$\{[A-Za-z_][A-Za-z0-9_]*\}/.test(namespace);
+}
+
+// Variables available to a namespace template: any field of the hook/tool
+// context or event, plus `workspace` (basename of workspaceDir) and `userId`
+// (falling back to senderId).
+function namespaceVars(...sources) {
+  const vars = Object.assign({}, ...sources.filter((src) => src && typeof src === "object").reverse());
+  vars.userId ??= vars.senderId;
+  if (vars.workspace == null && typeof vars.workspaceDir === "string") {
+    vars.workspace = basename(vars.workspaceDir);
+  }
+  return vars;
+}
+
+// Unknown or empty variables resolve to `fallback`; the result is limited to
+// characters that are safe in a Pinecone namespace.
+function resolveNamespaceTemplate(template, vars = {}, fallback = "default") {
+  const resolved = template.replace(NAMESPACE_VAR, (_, name) => {
+    const value = vars[name];
+    return value == null || value === "" ? fallback : String(value);
+  });
+  return resolved.replace(/[^A-Za-z0-9_.-]+/g, "-");
+}
+
+// recallScopes: [{ name?, namespace, weight?, topK? }]. Each namespace may be
+// a template; name defaults to the namespace and labels recalled lines.
+function normalizeRecallScopes(scopes, defaultTopK = 5) {
+  if (scopes == null) return null;
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    throw new Error("recallScopes must be a non-empty array");
   }
+  const names = new Set();
+  return scopes.map((scope, i) => {
+    const namespace = typeof scope === "string" ? scope : scope?.namespace;
+    if (typeof namespace !== "string" || !namespace) {
+      throw new Error(`recallScopes[${i}] needs a namespace`);
+    }
+    const name = scope.name ?? namespace;
+    if (names.has(name)) throw new Error(`duplicate recall scope "${name}"`);
+    names.add(name);
+    const weight = scope.weight ?? 1;
+    if (!(typeof weight === "number" && weight > 0)) {
+      throw new Error(`recall scope "${name}" weight must be a positive number`);
+    }
+    const topK = scope.topK ?? defaultTopK;
+    if (!(Number.isInteger(topK) && topK > 0)) {
+      throw new Error(`recall scope "${name}" topK must be a positive integer`);
+    }
+    return { name, namespace, weight, topK };
+  });
+}
+
+// Weights each scope's hits, then keeps the best-scoring copy of anything
+// recalled from more than one scope (same id or near-identical wording).
+function mergeScopedHits(results, limit) {
+  const weighted = results.flatMap(({ scope, hits }) =>
+    hits.map((hit) => ({ ...hit, _score: (hit._score ?? 0) * scope.weight, _scope: scope.name }))
+  );
+  return dedupeHits(weighted, limit);
+}
+
+function createMemoryDB(config) {
+  const backend = config.backend ?? "pinecone";
+  if (backend === "local") return new LocalMemoryDB(config);
+  if (backend === "pinecone") return new PineconeMemoryDB(config);
+  throw new Error(`Unknown backend "${backend}" (expected "pinecone" or "local")`);
 }
 
 // ---------------------------------------------------------------------------
@@ -465,14 +2839,87 @@ export {
   extractHitContent,
   extractConciseFacts,
   similarity,
+  lexicalScore,
   isContradiction,
+  mapConcurrent,
+  REDACTION_TYPES,
+  redactSensitive,
+  normalizeRedactionConfig,
+  redactForStorage,
+  parseDuration,
+  parseTimeBound,
+  normalizeFilter,
+  matchesFilter,
+  toPineconeFilter,
+  resolveExpiresAt,
+  withCategoryTtl,
+  isExpired,
+  normalizeRecencyConfig,
+  recencyFactor,
+  rerankByRecency,
+  dedupeHits,
+  buildRecallQuery,
+  normalizeHybridConfig,
+  bm25Scores,
+  fuseLexicalScores,
+  toExportRecord,
+  formatExportJsonl,
+  formatExportMarkdown,
+  parseImportFile,
+  importMemories,
   PineconeMemoryDB,
+  normalizeRerankConfig,
+  LocalMemoryDB,
+  createMemoryDB,
+  isNamespaceTemplate,
+  namespaceVars,
+  resolveNamespaceTemplate,
+  normalizeRecallScopes,
+  mergeScopedHits,
+  formatRecallEntry,
+  formatRecallSummary,
+  wrapRecallBlock,
+  estimateTokens,
+  fitToTokenBudget,
   buildFactExtractionPrompt,
   MEMORY_UPDATE_PROMPT,
   createOpenAIClient,
+  createAnthropicClient,
+  createLLMClient,
   llmExtractFacts,
   llmReconcileMemories,
+  llmRewriteQueries,
+  llmSummarizeMemories,
+  llmMergeMemories,
   applyMemoryDecisions,
+  formatCaptureDecision,
+  countDecisions,
+  parseTranscript,
+  isTransientError,
+  normalizeResilienceConfig,
+  backoffDelay,
+  CircuitBreaker,
+  formatBreakerStatus,
+  withBreaker,
+  MemoryHistory,
+  formatHistoryEntry,
+  archiveNamespaceFor,
+  archiveMemory,
+  restoreMemory,
+  updateMemory,
+  listVersions,
+  rollbackMemory,
+  planWriteOp,
+  WriteQueue,
+  CaptureTracker,
+  CaptureWorker,
+  clusterMemories,
+  pickRepresentativeText,
+  proposeMerges,
+  formatMergeProposal,
+  applyMerges,
+  replayWriteQueue,
+  formatQueuedWrite,
 };
 
 // ---------------------------------------------------------------------------
@@ -481,63 +2928,275 @@ export {
 
 export default function register(api) {
   const config = api.pluginConfig ?? {};
-  const db = new PineconeMemoryDB(config);
+  const backend = config.backend ?? "pinecone";
+  const namespaceTemplate = config.namespace ?? "default";
+  const dynamicNamespace = isNamespaceTemplate(namespaceTemplate);
+  let resilience = RESILIENCE_DEFAULTS;
+  try {
+    resilience = normalizeResilienceConfig(config.resilience);
+  } catch (err) {
+    api.logger.warn(`pinecone-memory: ignoring resilience config: ${err.message}`);
+  }
+  // With a template, the base handle (used by the CLI, which has no agent
+  // context) gets the template resolved with every variable at its fallback.
+  const db = createMemoryDB({
+    ...config,
+    namespace: dynamicNamespace ? resolveNamespaceTemplate(namespaceTemplate) : namespaceTemplate,
+    resilience,
+  });
+
+  let recallScopes = null;
+  try {
+    recallScopes = normalizeRecallScopes(config.recallScopes, config.topK ?? 5);
+  } catch (err) {
+    api.logger.warn(`pinecone-memory: ignoring recallScopes: ${err.message}`);
+  }
+  // Captures and the write tools go to the write scope's namespace, or to
+  // `namespace` when no scope is named.
+  let writeNamespace = namespaceTemplate;
+  if (config.writeScope != null) {
+    const scope = recallScopes?.find((s) => s.name === config.writeScope);
+    if (scope) writeNamespace = scope.namespace;
+    else api.logger.warn(`pinecone-memory: writeScope "${config.writeScope}" is not a recall scope; writing to ${namespaceTemplate}`);
+  }
+
+  // Resolves a (possibly templated) namespace for the hook event / tool
+  // context at call time.
+  function scopeDb(namespace, ...sources) {
+    if (!isNamespaceTemplate(namespace)) return db.forNamespace(namespace);
+    return db.forNamespace(resolveNamespaceTemplate(namespace, namespaceVars(...sources)));
+  }
+
+  function dbFor(...sources) {
+    return scopeDb(writeNamespace, ...sources);
+  }
 
   const autoCapture = config.autoCapture !== false;
   const autoRecall = config.autoRecall !== false;
   const topK = config.topK ?? 5;
-  const similarityThreshold = config.similarityThreshold ?? 0.3;
+  const similarityThreshold = config.similarityThreshold ?? (backend === "local" ? LOCAL_SIMILARITY_THRESHOLD : 0.3);
   const captureMode = config.captureMode ?? "heuristic";
   const updateThreshold = config.updateThreshold ?? 0.72;
   const deleteThreshold = config.deleteThreshold ?? 0.45;
   const summaryTopK = config.summaryTopK ?? 3;
   const minFactLength = config.minFactLength ?? 15;
   const maxFactLength = config.maxFactLength ?? 280;
-  const llmModel = config.llmModel ?? "gpt-5-mini";
+  const llmProvider = config.llmProvider ?? "openai";
+  const llmModel = config.llmModel ?? DEFAULT_LLM_MODELS[llmProvider] ?? DEFAULT_LLM_MODELS.openai;
+  const recallFilter = config.recallFilter ?? null;
+  let hybrid = null;
+  try {
+    hybrid = normalizeHybridConfig(config.hybrid);
+  } catch (err) {
+    api.logger.warn(`pinecone-memory: ignoring hybrid config: ${err.message}`);
+  }
+  if (config.rerank && backend !== "pinecone") {
+    api.logger.warn(`pinecone-memory: rerank is only available with the pinecone backend; ignoring`);
+  }
+  let recency = null;
+  try {
+    recency = normalizeRecencyConfig(config.recency);
+  } catch (err) {
+    api.logger.warn(`pinecone-memory: ignoring recency config: ${err.message}`);
+  }
+  const categoryTtl = {};
+  for (const [category, ttl] of Object.entries(config.categoryTtl ?? {})) {
+    if (parseDuration(ttl) > 0) categoryTtl[category] = ttl;
+    else api.logger.warn(`pinecone-memory: ignoring invalid categoryTtl for "${category}": ${ttl}`);
+  }
 
-  let openaiClient = null;
+  // LLM calls share the retry settings but get a longer per-call timeout.
+  // Recall runs before the agent answers, so its LLM calls (query rewrite,
+  // overflow summary) go through the same breaker without retries and with
+  // a short timeout.
+  const llmBreaker = new CircuitBreaker("llm", { ...resilience, timeoutMs: config.llmTimeoutMs ?? 60_000 });
+  let llmClient = null;
+  let recallLlmClient = null;
   if (captureMode === "llm") {
     try {
-      openaiClient = createOpenAIClient(config);
+      const client = createLLMClient(config);
+      llmClient = withBreaker(client, llmBreaker);
+      recallLlmClient = withBreaker(client, llmBreaker, {
+        retries: 0,
+        timeoutMs: Math.min(config.llmTimeoutMs ?? Infinity, RECALL_LLM_TIMEOUT_MS),
+      });
+    } catch (err) {
+      api.logger.warn(`pinecone-memory: failed to create LLM client: ${err.message}; falling back to heuristic`);
+    }
+  }
+
+  let format = config.recallFormat ?? (config.recallTemplate ? "template" : "bullets");
+  if (!RECALL_FORMATS.includes(format)) {
+    api.logger.warn(`pinecone-memory: unknown recallFormat "${format}"; using bullets`);
+    format = "bullets";
+  } else if (format === "template" && typeof config.recallTemplate !== "string") {
+    api.logger.warn(`pinecone-memory: recallFormat "template" needs a recallTemplate string; using bullets`);
+    format = "bullets";
+  }
+  const recallFormat = { format, showScores: config.recallShowScores !== false, template: config.recallTemplate };
+  const recallTokenBudget = config.recallTokenBudget ?? null;
+  let recallOverflow = config.recallOverflow ?? "truncate";
+  if (!RECALL_OVERFLOW_MODES.includes(recallOverflow)) {
+    api.logger.warn(`pinecone-memory: unknown recallOverflow "${recallOverflow}"; using truncate`);
+    recallOverflow = "truncate";
+  }
+  if (recallOverflow === "summarize" && !llmClient) {
+    api.logger.warn(`pinecone-memory: recallOverflow "summarize" needs captureMode "llm"; using truncate`);
+    recallOverflow = "truncate";
+  }
+
+  // Every ADD/UPDATE/DELETE is appended to a JSONL audit log unless disabled.
+  const history = config.history === false ? null : new MemoryHistory(config);
+  // Forget, contradiction and LLM DELETE decisions archive instead of deleting.
+  const softDelete = config.softDelete !== false;
+  // Capture writes the backend is unavailable for are journaled and replayed
+  // on a later turn, unless disabled.
+  const writeQueue = config.writeQueue === false ? null : new WriteQueue(config);
+
+  // Dry-run capture logs what agent_end would write without writing it.
+  const captureDryRun = config.captureDryRun === true;
+  const captureConcurrency = Math.max(1, Math.floor(config.captureConcurrency ?? CAPTURE_CONCURRENCY));
+  const captureWindow = Math.max(1, Math.floor(config.captureWindow ?? CAPTURE_WINDOW));
+  const captureTracker = new CaptureTracker({ window: captureWindow });
+  // Turns are captured in the background after a quiet period, unless
+  // captureDebounceMs is 0.
+  const captureDebounceMs = Math.max(0, config.captureDebounceMs ?? CAPTURE_DEBOUNCE_MS);
+  let redaction;
+  try {
+    redaction = normalizeRedactionConfig(config.redaction, config.redactionTypes);
+  } catch (err) {
+    api.logger.warn(`pinecone-memory: ignoring redaction config: ${err.message}; masking all types`);
+    redaction = normalizeRedactionConfig();
+  }
+
+  const recallContextTurns = config.recallContextTurns ?? 2;
+  const recallMaxQueries = config.recallMaxQueries ?? 3;
+  let recallQueryRewrite = config.recallQueryRewrite === true;
+  if (recallQueryRewrite && !llmClient) {
+    api.logger.warn(`pinecone-memory: recallQueryRewrite needs captureMode "llm"; searching on the conversation instead`);
+    recallQueryRewrite = false;
+  }
+
+  // Shared retrieval path for recall, memory_search and the search CLI:
+  // over-fetch when re-ranking so the top-K cut happens on the final order.
+  // Capture and dedup searches call db.search directly and skip reranking.
+  //
+  // In hybrid mode the dense threshold is lifted so lexical matches the
+  // embeddings scored low can still qualify on the fused score.
+  async function retrieve(db, query, k, filter) {
+    const multiplier = Math.max(recency?.candidateMultiplier ?? 1, hybrid?.overFetch ?? 1);
+    const threshold = hybrid ? 0 : similarityThreshold;
+    let hits = await db.search(query, k * multiplier, threshold, filter, { rerank: true });
+    if (hybrid) {
+      hits = fuseLexicalScores(query, hits, hybrid).filter((hit) => hit._score >= similarityThreshold);
+    }
+    return rerankByRecency(hits, recency).slice(0, k);
+  }
+
+  // With recallScopes, every scope is queried in parallel and the weighted
+  // results merged; a failing scope is skipped unless all of them fail.
+  async function layeredRetrieve(query, k, filter, ...sources) {
+    if (!recallScopes) return retrieve(dbFor(...sources), query, k, filter);
+    const settled = await Promise.allSettled(
+      recallScopes.map((scope) => retrieve(scopeDb(scope.namespace, ...sources), query, scope.topK, filter))
+    );
+    const results = [];
+    settled.forEach((result, i) => {
+      const scope = recallScopes[i];
+      if (result.status === "fulfilled") results.push({ scope, hits: result.value });
+      else api.logger.warn(`pinecone-memory: recall from scope "${scope.name}" failed: ${result.reason?.message ?? result.reason}`);
+    });
+    if (results.length === 0) throw settled[0].reason;
+    return mergeScopedHits(results, k);
+  }
+
+  // The conversation-aware query, optionally rewritten by the LLM into
+  // several standalone queries. Falls back to the conversation query when
+  // the rewrite fails or comes back empty.
+  async function recallQueries(prompt, messages) {
+    const query = buildRecallQuery(prompt, messages, recallContextTurns);
+    if (!recallQueryRewrite) return [query];
+    try {
+      const rewritten = await llmRewriteQueries(recallLlmClient, llmModel, query, recallMaxQueries);
+      if (rewritten.length > 0) return rewritten;
     } catch (err) {
-      api.logger.warn(`pinecone-memory: failed to create OpenAI client: ${err.message}; falling back to heuristic`);
+      api.logger.warn(`pinecone-memory: recall query rewrite failed: ${err.message}`);
+    }
+    return [query];
+  }
+
+  // Applies recallTokenBudget to the formatted recall lines. In summarize
+  // mode part of the budget is held back for one LLM-written line covering
+  // the memories that did not fit.
+  async function budgetRecallLines(entries) {
+    const lines = entries.map((entry) => entry.line);
+    if (!recallTokenBudget) return lines;
+    // Shorten the memory text and re-render, so XML/JSON lines stay well-formed.
+    const shorten = (line, tokens, i) => {
+      const { hit, content } = entries[i];
+      const room = tokens - (estimateTokens(line) - estimateTokens(content));
+      if (room < MIN_TRUNCATED_TOKENS) return null;
+      return formatRecallEntry(hit, recallFormat, truncateToTokens(content, room));
+    };
+    let fit = fitToTokenBudget(lines, recallTokenBudget, { truncate: recallOverflow === "truncate", shorten });
+    if (fit.overflow.length === 0) return fit.kept;
+
+    if (recallOverflow === "summarize") {
+      const reserve = Math.min(SUMMARY_RESERVE_TOKENS, Math.floor(recallTokenBudget / 3));
+      fit = fitToTokenBudget(lines, recallTokenBudget - reserve, { truncate: false });
+      const overflow = entries.slice(lines.length - fit.overflow.length).map((entry) => entry.content);
+      try {
+        const summary = await llmSummarizeMemories(recallLlmClient, llmModel, overflow, reserve);
+        if (summary) {
+          const room = reserve - estimateTokens(formatRecallSummary("", overflow.length, recallFormat));
+          return [...fit.kept, formatRecallSummary(truncateToTokens(summary, room), overflow.length, recallFormat)];
+        }
+      } catch (err) {
+        api.logger.warn(`pinecone-memory: recall overflow summary failed: ${err.message}`);
+      }
     }
+    api.logger.info(`pinecone-memory: recall token budget dropped ${fit.overflow.length} memor${fit.overflow.length === 1 ? "y" : "ies"}`);
+    return fit.kept;
   }
 
   api.logger.info(
-    `pinecone-memory: registered (index: ${db.indexName}, ns: ${db.namespace}, autoRecall: ${autoRecall}, autoCapture: ${autoCapture}, captureMode: ${captureMode}${captureMode === "llm" ? `, model: ${llmModel}` : ""})`
+    `pinecone-memory: registered (backend: ${backend}, index: ${db.indexName}, ns: ${namespaceTemplate}, autoRecall: ${autoRecall}, autoCapture: ${autoCapture}, captureMode: ${captureMode}${captureMode === "llm" ? `, model: ${llmModel}` : ""})`
   );
 
   // -------------------------------------------------------------------------
   // Hook: before_agent_start — Recall
   // -------------------------------------------------------------------------
   if (autoRecall) {
-    api.on("before_agent_start", async (event) => {
+    api.on("before_agent_start", async (event, ctx) => {
       try {
         const prompt = event.prompt?.trim();
         if (!prompt || prompt.length < 5) return;
 
-        const hits = await db.search(prompt, topK, similarityThreshold);
+        const queries = await recallQueries(prompt, event.messages);
+        const results = await Promise.all(
+          queries.map((query) => layeredRetrieve(query, topK, recallFilter, ctx, event))
+        );
+        const hits = results.length === 1 ? results[0] : dedupeHits(results.flat(), topK);
         if (hits.length === 0) return;
 
-        const lines = hits
+        const entries = hits
           .map((hit) => {
             const content = extractHitContent(hit);
             if (!content) return null;
-            const cat = hit.category ? ` [${hit.category}]` : "";
-            const score = typeof hit._score === "number" ? hit._score.toFixed(2) : "0.00";
-            return `- (${score}${cat}) ${content}`;
+            return { hit, content, line: formatRecallEntry(hit, recallFormat, content) };
           })
           .filter(Boolean);
+        const lines = await budgetRecallLines(entries);
 
         if (lines.length === 0) return;
 
-        const block = ["<relevant-memories>", ...lines, "</relevant-memories>"].join("\n");
+        const block = wrapRecallBlock(lines, recallFormat);
 
         api.logger.info(`pinecone-memory: recalled ${lines.length} memor${lines.length === 1 ? "y" : "ies"}`);
         return { prependContext: block };
       } catch (err) {
-        api.logger.warn(`pinecone-memory: recall failed: ${err.message}`);
+        const outcome = err.code === "CIRCUIT_OPEN" ? "skipped" : "failed";
+        api.logger.warn(`pinecone-memory: recall ${outcome}: ${err.message}`);
       }
     });
   }
@@ -546,97 +3205,263 @@ export default function register(api) {
   // Hook: agent_end — Capture
   // -------------------------------------------------------------------------
 
-  async function heuristicCapture(messages) {
-    const facts = extractConciseFacts(messages, { minFactLength, maxFactLength });
-    if (facts.length === 0) return;
+  // Decides what heuristic capture would do with one fact, without writing.
+  async function heuristicDecision(db, fact) {
+    const category = detectCategory(fact);
+    const nearby = await db.search(fact, summaryTopK, deleteThreshold);
+    const about = (hit) => ({ id: hit._id, old_memory: extractHitContent(hit), score: hit._score });
+
+    const exactDup = nearby.find(
+      (hit) =>
+        (typeof hit._score === "number" && hit._score >= db.deduplicationThreshold) ||
+        similarity(fact, extractHitContent(hit)) >= 0.95
+    );
+    if (exactDup) return { event: "NONE", text: fact, category, ...about(exactDup) };
+
+    // The contradicting fact itself is not stored; the old memory is removed.
+    const contradiction = nearby.find((hit) => isContradiction(fact, extractHitContent(hit)));
+    if (contradiction && contradiction._score >= deleteThreshold) {
+      return { event: "DELETE", contradictedBy: fact, category, ...about(contradiction) };
+    }
+
+    const updateTarget = nearby.find(
+      (hit) =>
+        (typeof hit._score === "number" && hit._score >= updateThreshold) ||
+        similarity(fact, extractHitContent(hit)) >= updateThreshold
+    );
+    if (updateTarget) return { event: "UPDATE", text: fact, category, ...about(updateTarget) };
+
+    return { event: "ADD", text: fact, category };
+  }
+
+  // Masks sensitive text in extracted facts, or drops the fact under the
+  // "reject" policy, before it is compared against, written to the index or
+  // logged.
+  function safeFacts(extracted) {
+    const facts = [];
+    let refused = 0;
+    for (const fact of extracted) {
+      const { text, found } = redactForStorage(fact, redaction);
+      if (text === null) {
+        api.logger.warn(`pinecone-memory: refused to store a captured fact containing ${found.join(", ")}`);
+        refused += 1;
+      } else {
+        facts.push(text);
+      }
+    }
+    return { facts, refused };
+  }
 
-    let added = 0;
-    let updated = 0;
-    let deleted = 0;
-    let none = 0;
+  function extractSafeFacts(messages) {
+    return safeFacts(extractConciseFacts(messages, { minFactLength, maxFactLength }));
+  }
 
-    for (const fact of facts) {
-      const category = detectCategory(fact);
-      const nearby = await db.search(fact, summaryTopK, deleteThreshold);
+  // Nearby-searches run concurrently, so unlike a sequential pass two new
+  // facts are not deduplicated against each other here; extractConciseFacts
+  // already drops near-identical sentences. A fact that cannot be compared
+  // because the backend is down is queued as a store that is skipped on
+  // replay if it turns out to be a duplicate.
+  async function heuristicCapture(db, messages, session = null) {
+    const { facts, refused } = extractSafeFacts(messages);
+    if (facts.length === 0 && refused === 0) return;
 
-      const exactDup = nearby.find(
-        (hit) =>
-          (typeof hit._score === "number" && hit._score >= db.deduplicationThreshold) ||
-          similarity(fact, extractHitContent(hit)) >= 0.95
-      );
-      if (exactDup) {
-        none += 1;
-        continue;
-      }
+    const counts = { added: 0, updated: 0, deleted: 0, none: 0, failed: 0, queued: 0 };
+    const op = (fields) => ({ namespace: db.namespace, source: "heuristic", session, ...fields });
+    const metadataFor = (category) =>
+      withCategoryTtl({ category, role: "summary", capturedAt: new Date().toISOString() }, categoryTtl);
 
-      const contradiction = nearby.find((hit) => isContradiction(fact, extractHitContent(hit)));
-      if (contradiction && contradiction._score >= deleteThreshold) {
-        await db.delete(contradiction._id);
-        deleted += 1;
-        continue;
+    const unreachable = [];
+    const decisions = await mapConcurrent(facts, captureConcurrency, async (fact) => {
+      try {
+        return await heuristicDecision(db, fact);
+      } catch (err) {
+        if (writeQueue && isUnavailableError(err)) {
+          unreachable.push(op({ op: "store", id: randomUUID(), text: fact, metadata: metadataFor(detectCategory(fact)), dedupe: true }));
+        } else {
+          api.logger.warn(`pinecone-memory: failed to evaluate captured fact: ${err.message}`);
+          counts.failed += 1;
+        }
+        return null;
       }
+    });
+    if (unreachable.length > 0) {
+      if (await enqueueWrites(writeQueue, api.logger, unreachable)) counts.queued += unreachable.length;
+      else counts.failed += unreachable.length;
+    }
 
-      const updateTarget = nearby.find(
-        (hit) =>
-          (typeof hit._score === "number" && hit._score >= updateThreshold) ||
-          similarity(fact, extractHitContent(hit)) >= updateThreshold
-      );
-      if (updateTarget) {
-        await db.update(updateTarget._id, fact, {
-          category,
-          role: "summary",
-          capturedAt: new Date().toISOString(),
-          updatedAt: new Date().toISOString(),
-        });
-        updated += 1;
-        continue;
+    const changes = [];
+    for (const decision of decisions) {
+      if (!decision) continue;
+      const { event, id, text, category } = decision;
+      const oldText = decision.old_memory || null;
+      if (event === "NONE") counts.none += 1;
+      else if (event === "DELETE") {
+        changes.push({ event, id, stat: "deleted", ops: [op({ op: "delete", id, archive: softDelete, oldText })] });
+      } else if (event === "UPDATE") {
+        const metadata = { ...metadataFor(category), updatedAt: new Date().toISOString() };
+        changes.push({ event, id, stat: "updated", ops: [op({ op: "update", id, text, metadata, oldText })] });
+      } else {
+        changes.push({ event, id: null, stat: "added", ops: [op({ op: "store", id: randomUUID(), text, metadata: metadataFor(category) })] });
       }
+    }
 
-      const id = randomUUID();
-      await db.store(id, fact, {
-        category,
-        role: "summary",
-        capturedAt: new Date().toISOString(),
-      });
-      added += 1;
+    const outcomes = await commitChanges(db, changes, {
+      logger: api.logger,
+      history,
+      queue: writeQueue,
+      concurrency: captureConcurrency,
+    });
+    for (const [i, change] of changes.entries()) {
+      if (outcomes[i] === "written") counts[change.stat] += 1;
+      else if (outcomes[i] === "queued" || outcomes[i] === "failed") counts[outcomes[i]] += 1;
     }
 
     api.logger.info(
-      `pinecone-memory: capture summary facts=${facts.length} added=${added} updated=${updated} deleted=${deleted} none=${none}`
+      `pinecone-memory: capture summary facts=${facts.length + refused} added=${counts.added} updated=${counts.updated} deleted=${counts.deleted} none=${counts.none} refused=${refused}${counts.failed ? ` failed=${counts.failed}` : ""}${counts.queued ? ` queued=${counts.queued}` : ""}`
     );
   }
 
-  if (autoCapture) {
-    api.on("agent_end", async (event) => {
+  // Runs the capture pipeline read-only: the facts it would extract and the
+  // decision it would make for each against the current index. Heuristic
+  // decisions are made independently, so two new facts that duplicate each
+  // other both show as ADD.
+  async function planCapture(db, messages, mode = captureMode, client = llmClient) {
+    if (mode === "llm") {
+      const { facts } = safeFacts(await llmExtractFacts(client, llmModel, messages));
+      const decisions = facts.length > 0
+        ? await llmReconcileMemories(client, llmModel, facts, db, summaryTopK, similarityThreshold, { concurrency: captureConcurrency })
+        : [];
+      // The model may restate what it was given; mask its texts for display too.
+      const masked = decisions.map((decision) =>
+        redaction && typeof decision.text === "string" ? { ...decision, text: redactSensitive(decision.text, redaction.types).text } : decision
+      );
+      return { mode, facts, decisions: masked };
+    }
+    const { facts } = extractSafeFacts(messages);
+    const decisions = await mapConcurrent(facts, captureConcurrency, (fact) => heuristicDecision(db, fact));
+    return { mode: "heuristic", facts, decisions };
+  }
+
+  // Runs when the gateway starts, when the Pinecone circuit closes again and
+  // before each capture, so writes queued during an outage (or before a
+  // restart) land ahead of newer ones once the backend answers. Callers
+  // arriving while a replay runs share it. Never throws.
+  let replaying = null;
+  function replayQueuedWrites() {
+    if (!writeQueue) return Promise.resolve();
+    replaying ??= (async () => {
       try {
-        const messages = (event.messages ?? []).slice(-10);
-
-        if (captureMode === "llm" && openaiClient) {
-          try {
-            const facts = await llmExtractFacts(openaiClient, llmModel, messages);
-            if (facts.length === 0) return;
-            const decisions = await llmReconcileMemories(openaiClient, llmModel, facts, db, summaryTopK, similarityThreshold);
-            const stats = await applyMemoryDecisions(decisions, db, api.logger);
+        const result = await replayWriteQueue(writeQueue, db, api.logger, { history });
+        const handled = result.replayed + result.skipped + result.failed;
+        if (handled > 0) {
+          api.logger.info(
+            `pinecone-memory: replayed queued writes replayed=${result.replayed} skipped=${result.skipped} dropped=${result.failed} remaining=${result.remaining}`
+          );
+        }
+      } catch (err) {
+        api.logger.warn(`pinecone-memory: failed to replay write queue: ${err.message}`);
+      } finally {
+        replaying = null;
+      }
+    })();
+    return replaying;
+  }
+
+  if (writeQueue) {
+    db.breaker?.onClose(() => replayQueuedWrites());
+    api.on("gateway_start", async () => {
+      await replayQueuedWrites();
+    });
+  }
+
+  // Captures the new messages of one or more coalesced turns of a session.
+  // Each turn may contribute up to captureWindow messages. Never throws.
+  async function captureTurns({ db, session, messages: conversation }, turns = 1) {
+    try {
+      const turn = captureTracker.take(session ?? "", conversation, captureWindow * turns);
+      const messages = turn.messages;
+
+      if (captureDryRun) {
+        if (messages.length === 0) return;
+        const plan = await planCapture(db, messages, captureMode === "llm" && llmClient ? "llm" : "heuristic");
+        for (const decision of plan.decisions) {
+          api.logger.info(`pinecone-memory: dry-run ${formatCaptureDecision(decision)}`);
+        }
+        const counts = countDecisions(plan.decisions);
+        api.logger.info(
+          `pinecone-memory: dry-run capture facts=${plan.facts.length} add=${counts.add} update=${counts.update} delete=${counts.delete} none=${counts.none} (nothing written)`
+        );
+        turn.done();
+        return;
+      }
+
+      await replayQueuedWrites();
+      if (messages.length === 0) return;
+
+      if (captureMode === "llm" && llmClient) {
+        try {
+          const { facts, refused } = safeFacts(await llmExtractFacts(llmClient, llmModel, messages));
+          if (facts.length > 0 || refused > 0) {
+            const decisions = facts.length > 0
+              ? await llmReconcileMemories(llmClient, llmModel, facts, db, summaryTopK, similarityThreshold, {
+                concurrency: captureConcurrency,
+              })
+              : [];
+            const stats = await applyMemoryDecisions(decisions, db, api.logger, {
+              categoryTtl,
+              history,
+              session,
+              softDelete,
+              redaction,
+              concurrency: captureConcurrency,
+              queue: writeQueue,
+            });
             api.logger.info(
-              `pinecone-memory: llm capture facts=${facts.length} added=${stats.added} updated=${stats.updated} deleted=${stats.deleted} none=${stats.none}`
+              `pinecone-memory: llm capture facts=${facts.length + refused} added=${stats.added} updated=${stats.updated} deleted=${stats.deleted} none=${stats.none} refused=${stats.refused + refused}${stats.queued ? ` queued=${stats.queued}` : ""}`
             );
-            return;
-          } catch (err) {
-            api.logger.warn(`pinecone-memory: llm capture failed, falling back to heuristic: ${err.message}`);
           }
+          turn.done();
+          return;
+        } catch (err) {
+          api.logger.warn(`pinecone-memory: llm capture failed, falling back to heuristic: ${err.message}`);
         }
+      }
+
+      await heuristicCapture(db, messages, session);
+      turn.done();
+    } catch (err) {
+      api.logger.warn(`pinecone-memory: capture failed: ${err.message}`);
+    }
+  }
+
+  const captureWorker = autoCapture && captureDebounceMs > 0
+    ? new CaptureWorker(captureTurns, { debounceMs: captureDebounceMs })
+    : null;
 
-        await heuristicCapture(messages);
+  if (autoCapture) {
+    api.on("agent_end", async (event, ctx) => {
+      let payload;
+      try {
+        payload = { db: dbFor(ctx, event), session: ctx?.sessionKey ?? null, messages: event.messages ?? [] };
       } catch (err) {
         api.logger.warn(`pinecone-memory: capture failed: ${err.message}`);
+        return;
       }
+      if (captureWorker) captureWorker.schedule(payload.session ?? "", payload);
+      else await captureTurns(payload);
+    });
+
+    // Captures still waiting out their debounce are written before the
+    // gateway exits.
+    api.on("gateway_stop", async () => {
+      if (captureWorker) await captureWorker.drain();
     });
   }
 
   // -------------------------------------------------------------------------
   // Tool: memory_store
   // -------------------------------------------------------------------------
-  api.registerTool({
+  api.registerTool((ctx) => ({
     name: "memory_store",
     description:
       "Store a fact, preference, or decision in long-term memory. Use this when the user explicitly asks you to remember something.",
@@ -649,17 +3474,27 @@ export default function register(api) {
         },
         category: {
           type: "string",
-          enum: ["preference", "decision", "project", "technical", "fact", "general"],
+          enum: MEMORY_CATEGORIES,
           description: "Category for the memory. Auto-detected if omitted.",
         },
+        ttl: {
+          type: "string",
+          description: "How long the memory stays valid, e.g. 12h, 7d or 2w. Omit for the category default (usually forever).",
+        },
       },
       required: ["text"],
     },
-    async execute(_toolCallId, { text, category }) {
+    async execute(_toolCallId, { text, category, ttl }) {
+      const db = dbFor(ctx);
       try {
         await db.ensureIndex();
 
-        const clean = normalizeFact(stripMemoryTags(text));
+        const { text: clean, found } = redactForStorage(normalizeFact(stripMemoryTags(text)), redaction);
+        if (clean === null) {
+          return {
+            content: [{ type: "text", text: `Not stored: the memory contains sensitive data (${found.join(", ")}). Remove it and try again.` }],
+          };
+        }
         if (!clean) {
           return { content: [{ type: "text", text: "Memory is empty after cleanup; nothing stored." }] };
         }
@@ -673,24 +3508,27 @@ export default function register(api) {
 
         const id = randomUUID();
         const cat = category ?? detectCategory(clean);
+        const metadata = { category: cat, role: "tool", capturedAt: new Date().toISOString() };
+        const stored = ttl ? { ...metadata, expiresAt: resolveExpiresAt(ttl) } : withCategoryTtl(metadata, categoryTtl);
 
-        await db.store(id, clean, {
-          category: cat,
-          role: "tool",
-          capturedAt: new Date().toISOString(),
+        await db.store(id, clean, stored);
+        await recordChange(history, api.logger, {
+          event: "ADD", memoryId: id, namespace: db.namespace, newText: clean, category: cat, source: "tool", session: ctx.sessionKey ?? null,
         });
 
-        return { content: [{ type: "text", text: `Memory stored (id: ${id}, category: ${cat}).` }] };
+        const expiry = stored.expiresAt ? `, expires: ${stored.expiresAt}` : "";
+        const masked = found.length > 0 ? `, redacted: ${found.join(", ")}` : "";
+        return { content: [{ type: "text", text: `Memory stored (id: ${id}, category: ${cat}${expiry}${masked}).` }] };
       } catch (err) {
         return { content: [{ type: "text", text: `Failed to store memory: ${err.message}` }] };
       }
     },
-  });
+  }), { name: "memory_store" });
 
   // -------------------------------------------------------------------------
   // Tool: memory_search
   // -------------------------------------------------------------------------
-  api.registerTool({
+  api.registerTool((ctx) => ({
     name: "memory_search",
     description: "Search long-term memory for relevant facts, preferences, or decisions.",
     parameters: {
@@ -704,13 +3542,37 @@ export default function register(api) {
           type: "number",
           description: "Maximum results to return (default: 5).",
         },
+        categories: {
+          type: "array",
+          items: { type: "string", enum: MEMORY_CATEGORIES },
+          description: "Only return memories in these categories.",
+        },
+        excludeCategories: {
+          type: "array",
+          items: { type: "string", enum: MEMORY_CATEGORIES },
+          description: "Never return memories in these categories.",
+        },
+        role: {
+          type: "string",
+          description: "Only return memories with this origin (summary, llm-extract, or tool).",
+        },
+        since: {
+          type: "string",
+          description: "Only memories captured at or after this time (ISO date or a duration like 7d).",
+        },
+        until: {
+          type: "string",
+          description: "Only memories captured at or before this time (ISO date or a duration like 7d).",
+        },
       },
       required: ["query"],
     },
-    async execute(_toolCallId, { query, limit }) {
+    async execute(_toolCallId, { query, limit, categories, excludeCategories, role, since, until }) {
+      const db = dbFor(ctx);
       try {
         const k = limit ?? topK;
-        const hits = await db.search(query, k, similarityThreshold);
+        const filter = { categories, excludeCategories, role, since, until };
+        const hits = await retrieve(db, query, k, filter);
 
         if (hits.length === 0) {
           return { content: [{ type: "text", text: "No matching memories found." }] };
@@ -723,6 +3585,8 @@ export default function register(api) {
             category: hit.category ?? "unknown",
             content: extractHitContent(hit),
             capturedAt: hit.capturedAt ?? null,
+            versions: currentVersion(hit),
+            ...(hit.expiresAt ? { expiresAt: hit.expiresAt } : {}),
           }))
           .filter((r) => r.content);
 
@@ -735,14 +3599,15 @@ export default function register(api) {
         return { content: [{ type: "text", text: `Search failed: ${err.message}` }] };
       }
     },
-  });
+  }), { name: "memory_search" });
 
   // -------------------------------------------------------------------------
   // Tool: memory_forget
   // -------------------------------------------------------------------------
-  api.registerTool({
+  api.registerTool((ctx) => ({
     name: "memory_forget",
-    description: "Delete a memory by ID, or search for and delete a matching memory.",
+    description:
+      "Delete a memory by ID, or search for and delete a matching memory. Deleted memories are archived and can be restored by their archive id.",
     parameters: {
       type: "object",
       properties: {
@@ -757,11 +3622,28 @@ export default function register(api) {
       },
     },
     async execute(_toolCallId, { memoryId, query }) {
+      const db = dbFor(ctx);
       try {
         await db.ensureIndex();
 
+        const recordDelete = (id, oldText, archived) =>
+          recordChange(history, api.logger, {
+            event: "DELETE", memoryId: id, namespace: db.namespace, oldText, archived, source: "tool", session: ctx.sessionKey ?? null,
+          });
+        const undoHint = (id) =>
+          ` Archive id: ${id} (undo with memory_restore, or \`openclaw pinecone-memory restore ${id} --namespace ${db.namespace}\`).`;
+
         if (memoryId) {
+          if (softDelete) {
+            const archived = await archiveMemory(db, memoryId);
+            if (archived) {
+              await recordDelete(memoryId, extractHitContent(archived), true);
+              return { content: [{ type: "text", text: `Memory ${memoryId} archived.${undoHint(memoryId)}` }] };
+            }
+          }
+          const oldText = history ? extractHitContent(await db.get(memoryId)) || null : null;
           await db.delete(memoryId);
+          await recordDelete(memoryId, oldText, false);
           return { content: [{ type: "text", text: `Memory ${memoryId} deleted.` }] };
         }
 
@@ -776,9 +3658,14 @@ export default function register(api) {
 
         if (hits.length === 1 || hits[0]._score >= 0.9) {
           const target = hits[0];
-          await db.delete(target._id);
+          const archived = await removeMemory(db, target._id, softDelete);
+          await recordDelete(target._id, extractHitContent(target), Boolean(archived));
+          const summary = `(id: ${target._id}, score: ${target._score.toFixed(2)}): "${extractHitContent(target).slice(0, 100)}"`;
           return {
-            content: [{ type: "text", text: `Deleted memory (id: ${target._id}, score: ${target._score.toFixed(2)}): "${extractHitContent(target).slice(0, 100)}"` }],
+            content: [{
+              type: "text",
+              text: archived ? `Archived memory ${summary}.${undoHint(target._id)}` : `Deleted memory ${summary}`,
+            }],
           };
         }
 
@@ -795,22 +3682,115 @@ export default function register(api) {
         return { content: [{ type: "text", text: `Forget failed: ${err.message}` }] };
       }
     },
-  });
+  }), { name: "memory_forget" });
+
+  // -------------------------------------------------------------------------
+  // Tool: memory_restore
+  // -------------------------------------------------------------------------
+  api.registerTool((ctx) => ({
+    name: "memory_restore",
+    description:
+      "Restore a memory that memory_forget archived, using the archive id from its response.",
+    parameters: {
+      type: "object",
+      properties: {
+        memoryId: {
+          type: "string",
+          description: "Archive id of the memory to restore.",
+        },
+      },
+      required: ["memoryId"],
+    },
+    async execute(_toolCallId, { memoryId }) {
+      const db = dbFor(ctx);
+      try {
+        await db.ensureIndex();
+        const restored = await restoreMemory(db, memoryId);
+        if (!restored) {
+          return { content: [{ type: "text", text: `No archived memory with id ${memoryId}.` }] };
+        }
+        const text = extractHitContent(restored);
+        await recordChange(history, api.logger, {
+          event: "ADD", memoryId, namespace: db.namespace, newText: text, category: restored.category, source: "restore", session: ctx.sessionKey ?? null,
+        });
+        return { content: [{ type: "text", text: `Restored memory ${memoryId}: "${text.slice(0, 100)}"` }] };
+      } catch (err) {
+        return { content: [{ type: "text", text: `Restore failed: ${err.message}` }] };
+      }
+    },
+  }), { name: "memory_restore" });
+
+  // -------------------------------------------------------------------------
+  // Tool: memory_history
+  // -------------------------------------------------------------------------
+  api.registerTool((ctx) => ({
+    name: "memory_history",
+    description:
+      "Show how long-term memory changed: when memories were added, updated or deleted, with the old and new text. Use this to explain why a memory changed or disappeared.",
+    parameters: {
+      type: "object",
+      properties: {
+        memoryId: {
+          type: "string",
+          description: "Only show changes to this memory ID.",
+        },
+        limit: {
+          type: "number",
+          description: "Maximum entries to return, newest first (default: 10).",
+        },
+      },
+    },
+    async execute(_toolCallId, { memoryId, limit = 10 }) {
+      if (!history) {
+        return { content: [{ type: "text", text: "Memory history is disabled." }] };
+      }
+      const db = dbFor(ctx);
+      try {
+        const entries = await history.list({ memoryId, namespace: db.namespace, limit });
+        if (entries.length === 0) {
+          return { content: [{ type: "text", text: "No memory history found." }] };
+        }
+        return {
+          content: [{ type: "text", text: `Memory history (newest first):\n${entries.map(formatHistoryEntry).join("\n")}` }],
+        };
+      } catch (err) {
+        return { content: [{ type: "text", text: `History lookup failed: ${err.message}` }] };
+      }
+    },
+  }), { name: "memory_history" });
 
   // -------------------------------------------------------------------------
-  // CLI: pinecone-memory search <query> [--limit N]
+  // CLI: pinecone-memory search <query> [--limit N] [--category a,b] [--since T] [--until T]
   // -------------------------------------------------------------------------
   api.registerCli(({ program }) => {
     const cmd = program.command("pinecone-memory").description("Pinecone memory plugin commands");
 
+    // Data commands work on the base namespace unless --namespace names
+    // another one, e.g. a namespace resolved from a template or writeScope.
+    const namespaceOption = ["--namespace <ns>", `Namespace to use (default: ${db.namespace})`];
+    const targetDb = (opts) => (opts.namespace ? db.forNamespace(opts.namespace) : db);
+
     cmd
       .command("search <query>")
       .description("Search memories")
+      .option(...namespaceOption)
       .option("--limit <n>", "Max results", parseInt)
+      .option("--category <list>", "Only these categories (comma-separated)")
+      .option("--exclude-category <list>", "Skip these categories (comma-separated)")
+      .option("--role <role>", "Only memories with this role (summary, llm-extract, tool)")
+      .option("--since <time>", "Captured at or after (ISO date or duration like 7d)")
+      .option("--until <time>", "Captured at or before (ISO date or duration like 7d)")
       .action(async (query, opts) => {
         try {
+          const db = targetDb(opts);
           const limit = opts.limit ?? topK;
-          const hits = await db.search(query, limit, similarityThreshold);
+          const hits = await retrieve(db, query, limit, {
+            categories: opts.category,
+            excludeCategories: opts.excludeCategory,
+            role: opts.role,
+            since: opts.since,
+            until: opts.until,
+          });
 
           if (hits.length === 0) {
             console.log("No matching memories found.");
@@ -830,25 +3810,413 @@ export default function register(api) {
         }
       });
 
+    cmd
+      .command("simulate <transcript>")
+      .description("Show what capture would store for a saved message array, without writing")
+      .option(...namespaceOption)
+      .option("--mode <mode>", "heuristic or llm (default: captureMode)")
+      .option("--all", `Use every message instead of the last ${captureWindow} that capture sees`)
+      .action(async (file, opts) => {
+        try {
+          const db = targetDb(opts);
+          const mode = opts.mode ?? captureMode;
+          if (mode !== "heuristic" && mode !== "llm") {
+            console.error(`Simulate error: unknown mode "${mode}" (expected heuristic or llm)`);
+            return;
+          }
+          const transcript = parseTranscript(await readFile(file, "utf8"));
+          const messages = opts.all ? transcript : transcript.slice(-captureWindow);
+          const client = mode === "llm" ? (llmClient ?? withBreaker(createLLMClient(config), llmBreaker)) : null;
+          const plan = await planCapture(db, messages, mode, client);
+
+          console.log(`Mode: ${plan.mode} (${messages.length} of ${transcript.length} messages)`);
+          console.log(`Facts (${plan.facts.length}):`);
+          for (const fact of plan.facts) console.log(`  - ${fact}`);
+          console.log("Decisions:");
+          for (const decision of plan.decisions) console.log(`  ${formatCaptureDecision(decision)}`);
+          const counts = countDecisions(plan.decisions);
+          console.log(`Summary: add=${counts.add} update=${counts.update} delete=${counts.delete} none=${counts.none} (nothing written)`);
+        } catch (err) {
+          console.error("Simulate error:", err.message);
+        }
+      });
+
+    cmd
+      .command("export")
+      .description("Export every memory in the namespace")
+      .option(...namespaceOption)
+      .option("--format <format>", "jsonl or markdown", "jsonl")
+      .option("--out <file>", "Write to a file instead of stdout")
+      .action(async (opts) => {
+        try {
+          const db = targetDb(opts);
+          if (opts.format !== "jsonl" && opts.format !== "markdown") {
+            console.error(`Export error: unknown format "${opts.format}" (expected jsonl or markdown)`);
+            return;
+          }
+
+          const records = [];
+          for await (const record of db.scan()) records.push(record);
+          // Stable ordering keeps successive exports diffable.
+          records.sort(
+            (a, b) =>
+              String(a.capturedAt ?? "").localeCompare(String(b.capturedAt ?? "")) ||
+              String(a._id).localeCompare(String(b._id))
+          );
+
+          const output =
+            opts.format === "markdown"
+              ? formatExportMarkdown(records, { indexName: db.indexName, namespace: db.namespace })
+              : formatExportJsonl(records);
+
+          if (opts.out) {
+            await writeFile(opts.out, output);
+            console.log(`Exported ${records.length} memor${records.length === 1 ? "y" : "ies"} to ${opts.out}`);
+          } else {
+            process.stdout.write(output);
+          }
+        } catch (err) {
+          console.error("Export error:", err.message);
+        }
+      });
+
+    cmd
+      .command("import <file>")
+      .description("Import memories from a JSONL/JSON export or a Markdown bullet list")
+      .option(...namespaceOption)
+      .option("--batch-size <n>", `Records per upsert (max ${MAX_UPSERT_BATCH})`, parseInt)
+      .action(async (file, opts) => {
+        try {
+          const db = targetDb(opts);
+          const { entries, errors } = parseImportFile(await readFile(file, "utf8"));
+          for (const error of errors) console.error(`  unreadable entry (${error})`);
+
+          const stats = await importMemories(entries, db, api.logger, { batchSize: opts.batchSize ?? 50, history, redaction });
+          stats.failed += errors.length;
+          console.log(
+            `Import summary: entries=${entries.length + errors.length} added=${stats.added} skipped=${stats.skipped} failed=${stats.failed}`
+          );
+        } catch (err) {
+          console.error("Import error:", err.message);
+        }
+      });
+
+    cmd
+      .command("prune")
+      .description("Permanently delete expired memories")
+      .option(...namespaceOption)
+      .option("--dry-run", "List expired memories without deleting them")
+      .action(async (opts) => {
+        try {
+          const db = targetDb(opts);
+          const expired = [];
+          const now = Date.now();
+          for await (const record of db.scan()) {
+            if (isExpired(record, now)) expired.push(record);
+          }
+
+          if (expired.length === 0) {
+            console.log("No expired memories.");
+            return;
+          }
+
+          for (const record of expired) {
+            console.log(`  ${record._id}  expired ${record.expiresAt}  ${extractHitContent(record).slice(0, 80)}`);
+          }
+          if (opts.dryRun) {
+            console.log(`${expired.length} expired memor${expired.length === 1 ? "y" : "ies"} (dry run, nothing deleted).`);
+            return;
+          }
+
+          await db.deleteMany(expired.map((r) => r._id));
+          for (const record of expired) {
+            await recordChange(history, api.logger, {
+              event: "DELETE", memoryId: record._id, namespace: db.namespace, oldText: extractHitContent(record), source: "prune",
+            });
+          }
+          console.log(`Pruned ${expired.length} expired memor${expired.length === 1 ? "y" : "ies"}.`);
+        } catch (err) {
+          console.error("Prune error:", err.message);
+        }
+      });
+
+    cmd
+      .command("versions <id>")
+      .description("List the earlier versions of a memory")
+      .option(...namespaceOption)
+      .action(async (id, opts) => {
+        try {
+          const db = targetDb(opts);
+          const current = await db.get(id);
+          if (!current) {
+            console.log(`No memory with id ${id}.`);
+            return;
+          }
+          for (const snapshot of await listVersions(db, id)) {
+            console.log(`  v${snapshot.version}  ${snapshot.updatedAt ?? snapshot.capturedAt ?? "?"}  ${extractHitContent(snapshot).slice(0, 80)}`);
+          }
+          console.log(`* v${currentVersion(current)}  ${current.updatedAt ?? current.capturedAt ?? "?"}  ${extractHitContent(current).slice(0, 80)}`);
+        } catch (err) {
+          console.error("Versions error:", err.message);
+        }
+      });
+
+    cmd
+      .command("rollback <id> [version]")
+      .description("Restore an earlier version of a memory (default: the previous one)")
+      .option(...namespaceOption)
+      .action(async (id, version, opts) => {
+        try {
+          const db = targetDb(opts);
+          const target = version == null ? undefined : Number.parseInt(version, 10);
+          const result = await rollbackMemory(db, id, target);
+          if (!result) {
+            console.log(`No earlier version${version == null ? "" : ` ${version}`} of memory ${id}.`);
+            return;
+          }
+          const newText = extractHitContent(result.to);
+          await recordChange(history, api.logger, {
+            event: "UPDATE", memoryId: id, namespace: db.namespace, oldText: extractHitContent(result.from), newText, source: "rollback",
+          });
+          console.log(`Rolled back memory ${id} to v${result.to.version}: ${newText.slice(0, 80)}`);
+        } catch (err) {
+          console.error("Rollback error:", err.message);
+        }
+      });
+
+    cmd
+      .command("restore <id>")
+      .description("Move an archived memory back into the namespace")
+      .option(...namespaceOption)
+      .action(async (id, opts) => {
+        try {
+          const db = targetDb(opts);
+          const restored = await restoreMemory(db, id);
+          if (!restored) {
+            console.log(`No archived memory with id ${id}.`);
+            return;
+          }
+          await recordChange(history, api.logger, {
+            event: "ADD", memoryId: id, namespace: db.namespace, newText: extractHitContent(restored), category: restored.category, source: "restore",
+          });
+          console.log(`Restored memory ${id}: ${extractHitContent(restored).slice(0, 80)}`);
+        } catch (err) {
+          console.error("Restore error:", err.message);
+        }
+      });
+
+    cmd
+      .command("purge")
+      .description("Permanently delete archived memories")
+      .option(...namespaceOption)
+      .option("--older-than <duration>", "Only memories archived longer ago than this (e.g. 30d)", "30d")
+      .option("--dry-run", "List the memories without deleting them")
+      .action(async (opts) => {
+        try {
+          const db = targetDb(opts);
+          const age = parseDuration(opts.olderThan);
+          if (age == null) {
+            console.error(`Purge error: invalid duration "${opts.olderThan}" (expected e.g. 30d, 12h)`);
+            return;
+          }
+          const archive = db.forNamespace(archiveNamespaceFor(db.namespace));
+          const cutoff = Date.now() - age;
+          const stale = [];
+          for await (const record of archive.scan()) {
+            const archivedAt = Date.parse(record.archivedAt ?? "");
+            if (Number.isNaN(archivedAt) || archivedAt <= cutoff) stale.push(record);
+          }
+
+          if (stale.length === 0) {
+            console.log(`No archived memories older than ${opts.olderThan}.`);
+            return;
+          }
+
+          for (const record of stale) {
+            console.log(`  ${record._id}  archived ${record.archivedAt ?? "?"}  ${extractHitContent(record).slice(0, 80)}`);
+          }
+          if (opts.dryRun) {
+            console.log(`${stale.length} archived memor${stale.length === 1 ? "y" : "ies"} (dry run, nothing deleted).`);
+            return;
+          }
+
+          await archive.deleteMany(stale.map((r) => r._id));
+          for (const record of stale) {
+            await recordChange(history, api.logger, {
+              event: "DELETE", memoryId: record._id, namespace: archive.namespace, oldText: extractHitContent(record), source: "purge",
+            });
+          }
+          console.log(`Purged ${stale.length} archived memor${stale.length === 1 ? "y" : "ies"}.`);
+        } catch (err) {
+          console.error("Purge error:", err.message);
+        }
+      });
+
+    cmd
+      .command("consolidate")
+      .description("Merge clusters of near-duplicate memories into one memory each")
+      .option(...namespaceOption)
+      .option("--threshold <n>", `Min similarity for two memories to be merged (default ${CONSOLIDATE_THRESHOLD})`, parseFloat)
+      .option("--dry-run", "Show the proposed merges without applying them")
+      .action(async (opts) => {
+        try {
+          const db = targetDb(opts);
+          const threshold = opts.threshold ?? CONSOLIDATE_THRESHOLD;
+          const records = [];
+          const now = Date.now();
+          for await (const record of db.scan()) {
+            if (!isExpired(record, now)) records.push(record);
+          }
+
+          const clusters = await clusterMemories(db, records, { threshold, concurrency: captureConcurrency });
+          if (clusters.length === 0) {
+            console.log(`No near-duplicate memories among ${records.length} (threshold ${threshold}).`);
+            return;
+          }
+
+          const merge = llmClient ? (texts) => llmMergeMemories(llmClient, llmModel, texts) : null;
+          const proposals = await proposeMerges(clusters, merge, { logger: api.logger });
+          proposals.forEach((proposal, i) => console.log(formatMergeProposal(proposal, i)));
+          const merged = proposals.reduce((sum, proposal) => sum + proposal.remove.length + 1, 0);
+          if (opts.dryRun) {
+            console.log(`${proposals.length} cluster(s) would merge ${merged} memories into ${proposals.length} (dry run, nothing changed).`);
+            return;
+          }
+
+          const written = await applyMerges(db, proposals, { logger: api.logger, history, softDelete, concurrency: captureConcurrency });
+          console.log(`Merged ${written} of ${proposals.length} cluster(s)${softDelete ? "; removed memories were archived" : ""}.`);
+        } catch (err) {
+          console.error("Consolidate error:", err.message);
+        }
+      });
+
+    cmd
+      .command("history [id]")
+      .description("Show memory changes, newest first (optionally for one memory)")
+      .option(...namespaceOption)
+      .option("--limit <n>", "Max entries", parseInt)
+      .action(async (id, opts) => {
+        try {
+          const db = targetDb(opts);
+          if (!history) {
+            console.log("Memory history is disabled.");
+            return;
+          }
+          const entries = await history.list({ memoryId: id, namespace: db.namespace, limit: opts.limit ?? 20 });
+          if (entries.length === 0) {
+            console.log("No memory history found.");
+            return;
+          }
+          for (const entry of entries) console.log(formatHistoryEntry(entry));
+        } catch (err) {
+          console.error("History error:", err.message);
+        }
+      });
+
+    cmd
+      .command("queue [action]")
+      .description("List, replay (flush) or discard (clear) capture writes queued while the backend was unavailable")
+      .action(async (action = "list") => {
+        try {
+          if (!writeQueue) {
+            console.log("The write queue is disabled.");
+            return;
+          }
+          if (action === "list") {
+            const ops = await writeQueue.list();
+            if (ops.length === 0) {
+              console.log("No queued writes.");
+              return;
+            }
+            for (const op of ops) console.log(formatQueuedWrite(op));
+            console.log(`${ops.length} queued write(s) in ${writeQueue.path}`);
+          } else if (action === "flush") {
+            const result = await replayWriteQueue(writeQueue, db, api.logger, { history });
+            console.log(
+              `Replayed ${result.replayed}, skipped ${result.skipped} duplicate(s), dropped ${result.failed}; ${result.remaining} still queued.`
+            );
+          } else if (action === "clear") {
+            console.log(`Discarded ${await writeQueue.clear()} queued write(s).`);
+          } else {
+            console.error(`Unknown queue action "${action}" (expected list, flush or clear)`);
+          }
+        } catch (err) {
+          console.error("Queue error:", err.message);
+        }
+      });
+
     cmd
       .command("stats")
       .description("Show memory plugin status and configuration")
       .action(async () => {
         try {
-          await db.ensureIndex();
+          // Still report the configuration and breaker state when the
+          // backend is unreachable; the error is printed at the end.
+          const indexError = await db.ensureIndex().then(() => null, (err) => err);
 
           console.log("[pinecone-memory] Configuration:");
+          console.log(`  Backend:       ${backend}`);
           console.log(`  Index:         ${db.indexName}`);
+          if (backend === "local") {
+            console.log(`  Store file:    ${db.path}`);
+          }
           console.log(`  Namespace:     ${db.namespace}`);
+          if (dynamicNamespace) {
+            console.log(`  NS template:   ${namespaceTemplate}`);
+          }
           console.log(`  Auto-capture:  ${autoCapture}`);
           console.log(`  Auto-recall:   ${autoRecall}`);
           console.log(`  Capture mode:  ${captureMode}`);
           if (captureMode === "llm") {
-            console.log(`  LLM model:     ${llmModel}`);
+            console.log(`  LLM model:     ${llmModel} (${llmProvider}${config.llmBaseUrl ? ` at ${resolveEnvVars(config.llmBaseUrl)}` : ""})`);
+          }
+          if (autoCapture) {
+            const debounce = captureWorker ? `${captureDebounceMs}ms (${captureWorker.pending} session(s) pending)` : "off (capture runs inline)";
+            console.log(`  Debounce:      ${debounce}`);
           }
           console.log(`  Top-K:         ${topK}`);
           console.log(`  Threshold:     ${similarityThreshold}`);
+          console.log(`  History:       ${history ? history.path : "disabled"}`);
+          console.log(`  Soft delete:   ${softDelete ? `on (archive: ${archiveNamespaceFor(db.namespace)})` : "off"}`);
+          console.log(`  Redaction:     ${redaction ? `${redaction.mode} (${redaction.types.join(", ")})` : "off"}`);
+          if (captureDryRun) {
+            console.log("  Capture:       dry run (nothing is written)");
+          }
+          console.log(`  Recall format: ${recallFormat.format}${recallFormat.showScores ? "" : " (no scores)"}`);
+          console.log(`  Recall query:  last ${recallContextTurns} turn(s)${recallQueryRewrite ? `, LLM rewrite (max ${recallMaxQueries})` : ""}`);
+          if (recallTokenBudget) {
+            console.log(`  Recall budget: ${recallTokenBudget} tokens (overflow: ${recallOverflow})`);
+          }
+          if (recallScopes) {
+            const scopes = recallScopes.map((s) => `${s.name}=${s.namespace} (x${s.weight}, top ${s.topK})`);
+            console.log(`  Recall scopes: ${scopes.join(", ")}`);
+            console.log(`  Write scope:   ${writeNamespace}`);
+          }
+          if (recallFilter) {
+            console.log(`  Recall filter: ${JSON.stringify(recallFilter)}`);
+          }
+          if (db.rerank) {
+            console.log(`  Rerank:        ${db.rerank.model} (fields: ${db.rerank.rankFields.join(", ")}, over-fetch: ${db.rerank.overFetch}x)`);
+          }
+          if (hybrid) {
+            console.log(`  Hybrid:        ${hybrid.method} (dense ${hybrid.denseWeight.toFixed(2)}, lexical ${hybrid.lexicalWeight.toFixed(2)}, over-fetch: ${hybrid.overFetch}x)`);
+          }
+          if (recency) {
+            console.log(`  Recency:       weight ${recency.weight}, half-life ${config.recency.halfLife ?? "180d"}`);
+          }
+          if (Object.keys(categoryTtl).length > 0) {
+            console.log(`  Category TTL:  ${JSON.stringify(categoryTtl)}`);
+          }
           console.log(`  Dedup:         ${db.deduplicationThreshold}`);
+          if (db.breaker) {
+            console.log(`  Pinecone:      ${formatBreakerStatus(db.breaker.status())}`);
+          }
+          if (llmClient) {
+            console.log(`  LLM:           ${formatBreakerStatus(llmBreaker.status())}`);
+          }
+          console.log(`  Retries:       ${resilience.retries} (timeout ${resilience.timeoutMs}ms, circuit opens after ${resilience.failureThreshold} failures for ${resilience.resetMs}ms)`);
+          console.log(`  Write queue:   ${writeQueue ? `${(await writeQueue.list()).length} pending (${writeQueue.path})` : "disabled"}`);
+          if (indexError) throw indexError;
         } catch (err) {
           console.error("Stats error:", err.message);
         }
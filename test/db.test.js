@@ -6,11 +6,17 @@ import { describe, it, expect, vi, beforeEach } from "vitest";
 const mockUpsertRecords = vi.fn().mockResolvedValue({});
 const mockSearchRecords = vi.fn().mockResolvedValue({ result: { hits: [] } });
 const mockDeleteOne = vi.fn().mockResolvedValue({});
+const mockDeleteMany = vi.fn().mockResolvedValue({});
+const mockListPaginated = vi.fn().mockResolvedValue({ vectors: [], pagination: undefined });
+const mockFetch = vi.fn().mockResolvedValue({ records: {} });
 
 const mockNamespace = vi.fn(() => ({
   upsertRecords: mockUpsertRecords,
   searchRecords: mockSearchRecords,
   deleteOne: mockDeleteOne,
+  deleteMany: mockDeleteMany,
+  listPaginated: mockListPaginated,
+  fetch: mockFetch,
 }));
 
 const mockIndex = vi.fn(() => ({ namespace: mockNamespace }));
@@ -23,8 +29,18 @@ vi.mock("@pinecone-database/pinecone", () => ({
   })),
 }));
 
+const { Errors } = await vi.importActual("@pinecone-database/pinecone");
 const { PineconeMemoryDB } = await import("../index.js");
 
+// The error the SDK throws for a failed request with this HTTP status.
+function pineconeHttpError(status) {
+  try {
+    return Errors.mapHttpStatusError({ status, url: "https://test.pinecone.io/records/search", message: `HTTP ${status}` });
+  } catch (err) {
+    return err;
+  }
+}
+
 // ---------------------------------------------------------------------------
 // Tests
 // ---------------------------------------------------------------------------
@@ -64,6 +80,35 @@ describe("PineconeMemoryDB", () => {
       // listIndexes should only be called once because the promise is cached
       expect(mockListIndexes).toHaveBeenCalledTimes(1);
     });
+
+    it("forgets the least recently used view past 500 namespaces", () => {
+      const first = db.forNamespace("ns-0");
+      const second = db.forNamespace("ns-1");
+      for (let i = 2; i < 500; i++) db.forNamespace(`ns-${i}`);
+      expect(db.forNamespace("ns-0")).toBe(first);
+      db.forNamespace("ns-500");
+      expect(db._views.size).toBe(500);
+      expect(db.forNamespace("ns-0")).toBe(first);
+      const rebuilt = db.forNamespace("ns-1");
+      expect(rebuilt).not.toBe(second);
+      expect(rebuilt.namespace).toBe("ns-1");
+    });
+  });
+
+  // -------------------------------------------------------------------------
+  // forNamespace
+  // -------------------------------------------------------------------------
+  describe("forNamespace", () => {
+    it("caches one view per namespace sharing the index check", async () => {
+      const view = db.forNamespace("agent-a");
+      expect(db.forNamespace("agent-a")).toBe(view);
+      expect(db.forNamespace("default")).toBe(db);
+      await view.store("id-1", "hello", {});
+      await db.store("id-2", "world", {});
+      expect(mockNamespace).toHaveBeenCalledWith("agent-a");
+      expect(mockNamespace).toHaveBeenCalledWith("default");
+      expect(mockListIndexes).toHaveBeenCalledTimes(1);
+    });
   });
 
   // -------------------------------------------------------------------------
@@ -78,12 +123,39 @@ describe("PineconeMemoryDB", () => {
         ],
       });
     });
+
+    it("stores expiresAt again as epoch ms for the search filter", async () => {
+      await db.store("id-1", "hello", { expiresAt: "2030-01-01T00:00:00.000Z" });
+      await db.store("id-2", "world", { expiresAtMs: 1 });
+      expect(mockUpsertRecords.mock.calls[0][0].records[0]).toEqual({
+        _id: "id-1",
+        content: "hello",
+        expiresAt: "2030-01-01T00:00:00.000Z",
+        expiresAtMs: Date.parse("2030-01-01T00:00:00.000Z"),
+      });
+      expect(mockUpsertRecords.mock.calls[1][0].records[0]).toEqual({ _id: "id-2", content: "world" });
+    });
+  });
+
+  // -------------------------------------------------------------------------
+  // storeMany
+  // -------------------------------------------------------------------------
+  describe("storeMany", () => {
+    it("upserts in chunks of at most 96 records", async () => {
+      const entries = Array.from({ length: 100 }, (_, i) => ({ id: `id-${i}`, text: `fact ${i}`, metadata: { category: "fact" } }));
+      await db.storeMany(entries);
+      expect(mockUpsertRecords).toHaveBeenCalledTimes(2);
+      expect(mockUpsertRecords.mock.calls[0][0].records).toHaveLength(96);
+      expect(mockUpsertRecords.mock.calls[1][0].records[3]).toEqual({ _id: "id-99", content: "fact 99", category: "fact" });
+    });
   });
 
   // -------------------------------------------------------------------------
   // search
   // -------------------------------------------------------------------------
   describe("search", () => {
+    const unexpired = { $or: [{ expiresAtMs: { $exists: false } }, { expiresAtMs: { $gt: expect.any(Number) } }] };
+
     it("returns hits above the threshold", async () => {
       mockSearchRecords.mockResolvedValueOnce({
         result: {
@@ -98,6 +170,96 @@ describe("PineconeMemoryDB", () => {
       expect(results[0]._id).toBe("a");
     });
 
+    it("only filters out expired records when no filter is given", async () => {
+      const before = Date.now();
+      await db.search("test", 5, 0.3);
+      expect(mockSearchRecords).toHaveBeenCalledWith({
+        query: { topK: 5, inputs: { text: "test" }, filter: unexpired },
+      });
+      expect(mockSearchRecords.mock.calls[0][0].query.filter.$or[1].expiresAtMs.$gt).toBeGreaterThanOrEqual(before);
+    });
+
+    it("translates category and role filters into a Pinecone filter", async () => {
+      await db.search("test", 5, 0.3, {
+        categories: ["preference", "decision"],
+        excludeCategories: ["technical"],
+        role: "tool",
+      });
+      expect(mockSearchRecords).toHaveBeenCalledWith({
+        query: {
+          topK: 5,
+          inputs: { text: "test" },
+          filter: {
+            $and: [
+              {
+                $and: [
+                  { category: { $in: ["preference", "decision"] } },
+                  { category: { $nin: ["technical"] } },
+                  { role: { $in: ["tool"] } },
+                ],
+              },
+              unexpired,
+            ],
+          },
+        },
+      });
+    });
+
+    it("over-fetches and applies capturedAt bounds client-side", async () => {
+      mockSearchRecords.mockResolvedValueOnce({
+        result: {
+          hits: [
+            { _id: "old", _score: 0.9, fields: { content: "old", capturedAt: "2024-01-01T00:00:00Z" } },
+            { _id: "new", _score: 0.8, fields: { content: "new", capturedAt: "2025-06-01T00:00:00Z" } },
+            { _id: "none", _score: 0.7, fields: { content: "no date" } },
+          ],
+        },
+      });
+      const results = await db.search("test", 2, 0.3, { since: "2025-01-01" });
+      expect(mockSearchRecords.mock.calls[0][0].query.topK).toBe(6);
+      expect(results.map((h) => h._id)).toEqual(["new"]);
+    });
+
+    it("reranks an over-fetched candidate set when asked", async () => {
+      const rerankDb = new PineconeMemoryDB({ pineconeApiKey: "test-key", rerank: { model: "bge-reranker-v2-m3" } });
+      mockSearchRecords.mockResolvedValueOnce({
+        result: { hits: [{ _id: "a", _score: 0.9, content: "best" }, { _id: "b", _score: 0.2, content: "weak" }] },
+      });
+      const results = await rerankDb.search("test", 5, 0.3, null, { rerank: true });
+      expect(mockSearchRecords).toHaveBeenCalledWith({
+        query: { topK: 20, inputs: { text: "test" }, filter: unexpired },
+        rerank: { model: "bge-reranker-v2-m3", rankFields: ["content"], topN: 5, query: "test" },
+      });
+      expect(results.map((h) => h._id)).toEqual(["a"]);
+    });
+
+    it("does not rerank unless the caller asks", async () => {
+      const rerankDb = new PineconeMemoryDB({ pineconeApiKey: "test-key", rerank: {} });
+      await rerankDb.search("test", 3, 0.3);
+      expect(mockSearchRecords.mock.calls[0][0].rerank).toBeUndefined();
+      expect(mockSearchRecords.mock.calls[0][0].query.topK).toBe(3);
+    });
+
+    it("caps rerank candidates at 100", async () => {
+      const rerankDb = new PineconeMemoryDB({ pineconeApiKey: "test-key", rerank: { overFetch: 10, topN: 8 } });
+      await rerankDb.search("test", 20, 0.3, null, { rerank: true });
+      expect(mockSearchRecords.mock.calls[0][0].query.topK).toBe(100);
+      expect(mockSearchRecords.mock.calls[0][0].rerank.topN).toBe(8);
+    });
+
+    it("drops expired hits", async () => {
+      mockSearchRecords.mockResolvedValueOnce({
+        result: {
+          hits: [
+            { _id: "gone", _score: 0.9, content: "old", expiresAt: "2000-01-01T00:00:00Z" },
+            { _id: "live", _score: 0.8, content: "new", expiresAt: "2999-01-01T00:00:00Z" },
+          ],
+        },
+      });
+      const results = await db.search("test", 5, 0.3);
+      expect(results.map((h) => h._id)).toEqual(["live"]);
+    });
+
     it("returns empty array when no hits meet threshold", async () => {
       mockSearchRecords.mockResolvedValueOnce({
         result: { hits: [{ _id: "a", _score: 0.1, content: "low" }] },
@@ -110,6 +272,18 @@ describe("PineconeMemoryDB", () => {
   // -------------------------------------------------------------------------
   // delete
   // -------------------------------------------------------------------------
+  describe("get", () => {
+    it("fetches one record by id", async () => {
+      mockFetch.mockResolvedValueOnce({ records: { "id-1": { id: "id-1", metadata: { content: "hello", category: "fact" } } } });
+      expect(await db.get("id-1")).toEqual({ _id: "id-1", content: "hello", category: "fact" });
+      expect(mockFetch).toHaveBeenCalledWith({ ids: ["id-1"] });
+    });
+
+    it("returns null for an unknown id", async () => {
+      expect(await db.get("missing")).toBeNull();
+    });
+  });
+
   describe("delete", () => {
     it("calls deleteOne with the id", async () => {
       await db.delete("id-1");
@@ -117,6 +291,44 @@ describe("PineconeMemoryDB", () => {
     });
   });
 
+  describe("deleteMany", () => {
+    it("deletes ids in one call per 1000", async () => {
+      await db.deleteMany(["a", "b"]);
+      expect(mockDeleteMany).toHaveBeenCalledWith({ ids: ["a", "b"] });
+    });
+  });
+
+  // -------------------------------------------------------------------------
+  // scan
+  // -------------------------------------------------------------------------
+  describe("scan", () => {
+    it("pages through ids and yields fetched metadata", async () => {
+      mockListPaginated
+        .mockResolvedValueOnce({ vectors: [{ id: "a" }, { id: "b" }], pagination: { next: "tok" } })
+        .mockResolvedValueOnce({ vectors: [{ id: "c" }], pagination: undefined });
+      mockFetch
+        .mockResolvedValueOnce({
+          records: {
+            a: { id: "a", metadata: { content: "first", category: "fact" } },
+            b: { id: "b", metadata: { content: "second" } },
+          },
+        })
+        .mockResolvedValueOnce({ records: { c: { id: "c", metadata: { content: "third" } } } });
+
+      const records = [];
+      for await (const record of db.scan(2)) records.push(record);
+
+      expect(mockListPaginated).toHaveBeenNthCalledWith(1, { limit: 2, paginationToken: undefined });
+      expect(mockListPaginated).toHaveBeenNthCalledWith(2, { limit: 2, paginationToken: "tok" });
+      expect(mockFetch).toHaveBeenCalledWith({ ids: ["a", "b"] });
+      expect(records).toEqual([
+        { _id: "a", content: "first", category: "fact" },
+        { _id: "b", content: "second" },
+        { _id: "c", content: "third" },
+      ]);
+    });
+  });
+
   // -------------------------------------------------------------------------
   // isDuplicate
   // -------------------------------------------------------------------------
@@ -139,4 +351,63 @@ describe("PineconeMemoryDB", () => {
       expect(result).toBeNull();
     });
   });
+
+  // -------------------------------------------------------------------------
+  // resilience
+  // -------------------------------------------------------------------------
+  describe("resilience", () => {
+    beforeEach(() => {
+      db = new PineconeMemoryDB({ pineconeApiKey: "test-key", resilience: { baseDelayMs: 0, failureThreshold: 2 } });
+    });
+
+    it("retries transient failures", async () => {
+      mockSearchRecords
+        .mockRejectedValueOnce(pineconeHttpError(429))
+        .mockResolvedValueOnce({ result: { hits: [{ _id: "a", _score: 0.9, content: "text" }] } });
+      expect(await db.search("text", 5, 0.3)).toHaveLength(1);
+      expect(mockSearchRecords).toHaveBeenCalledTimes(2);
+    });
+
+    it("does not retry client errors", async () => {
+      mockUpsertRecords.mockRejectedValueOnce(pineconeHttpError(400));
+      await expect(db.store("id-1", "text")).rejects.toThrow("HTTP 400");
+      expect(mockUpsertRecords).toHaveBeenCalledTimes(1);
+    });
+
+    it("retries the SDK's 502, 503 and 504 errors and its own retry exhaustion", async () => {
+      mockSearchRecords
+        .mockRejectedValueOnce(pineconeHttpError(502))
+        .mockRejectedValueOnce(pineconeHttpError(503))
+        .mockResolvedValueOnce({ result: { hits: [] } })
+        .mockRejectedValueOnce(pineconeHttpError(504))
+        .mockRejectedValueOnce(new Errors.PineconeMaxRetriesExceededError(3))
+        .mockResolvedValueOnce({ result: { hits: [] } });
+      await db.search("a");
+      await db.search("b");
+      expect(mockSearchRecords).toHaveBeenCalledTimes(6);
+    });
+
+    it("opens the shared circuit after repeated rate limits", async () => {
+      mockSearchRecords.mockRejectedValue(pineconeHttpError(429));
+      await expect(db.search("a")).rejects.toThrow("Status: 429");
+      await expect(db.forNamespace("other").search("b")).rejects.toThrow("Status: 429");
+      expect(mockSearchRecords).toHaveBeenCalledTimes(6);
+
+      await expect(db.search("c")).rejects.toThrow(/pinecone unavailable \(circuit open/);
+      expect(mockSearchRecords).toHaveBeenCalledTimes(6);
+      expect(db.breaker.status()).toEqual(
+        expect.objectContaining({ state: "open", failures: 2, lastError: expect.stringContaining("Status: 429") })
+      );
+      mockSearchRecords.mockReset();
+      mockSearchRecords.mockResolvedValue({ result: { hits: [] } });
+    });
+
+    it("checks the index again after an unreachable start", async () => {
+      mockListIndexes.mockRejectedValue(Object.assign(new Error("fetch failed"), { cause: { code: "ECONNREFUSED" } }));
+      await expect(db.ensureIndex()).rejects.toThrow("fetch failed");
+      mockListIndexes.mockResolvedValue({ indexes: [{ name: "openclaw-memory" }] });
+      await db.ensureIndex();
+      expect(mockListIndexes).toHaveBeenCalledTimes(4);
+    });
+  });
 });
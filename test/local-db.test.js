@@ -0,0 +1,510 @@
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import { mkdtemp, readFile, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+const {
+  LocalMemoryDB,
+  MemoryHistory,
+  PineconeMemoryDB,
+  WriteQueue,
+  applyMerges,
+  archiveMemory,
+  clusterMemories,
+  createMemoryDB,
+  lexicalScore,
+  listVersions,
+  proposeMerges,
+  replayWriteQueue,
+  restoreMemory,
+  rollbackMemory,
+  updateMemory,
+} = await import("../index.js");
+
+// ---------------------------------------------------------------------------
+// Tests
+// ---------------------------------------------------------------------------
+describe("LocalMemoryDB", () => {
+  let dir;
+  let path;
+  let db;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), "pinecone-memory-"));
+    path = join(dir, "memory.json");
+    db = new LocalMemoryDB({ localPath: path });
+  });
+
+  afterEach(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  // -------------------------------------------------------------------------
+  // ensureIndex
+  // -------------------------------------------------------------------------
+  describe("ensureIndex", () => {
+    it("starts empty when the file does not exist", async () => {
+      await db.ensureIndex();
+      expect(await db.search("anything", 5, 0)).toEqual([]);
+    });
+
+    it("throws when the file is not valid JSON", async () => {
+      await writeFile(path, "{not json");
+      await expect(db.ensureIndex()).rejects.toThrow(/is unreadable/);
+    });
+
+    it("retries a failed load on the next call", async () => {
+      await writeFile(path, "{not json");
+      await expect(db.ensureIndex()).rejects.toThrow(/is unreadable/);
+      await writeFile(path, JSON.stringify({ version: 1, namespaces: { default: { a: { _id: "a", content: "hello" } } } }));
+      expect(await db.get("a")).toEqual({ _id: "a", content: "hello" });
+    });
+  });
+
+  describe("shared file", () => {
+    it("keeps writes made by another instance and sees them", async () => {
+      const gateway = new LocalMemoryDB({ localPath: path });
+      const cli = new LocalMemoryDB({ localPath: path });
+      await gateway.store("g1", "Prefers pnpm over npm");
+      await cli.store("c1", "Deploys the API on Fly.io");
+      await gateway.store("g2", "Uses Vitest for tests");
+
+      const saved = JSON.parse(await readFile(path, "utf8"));
+      expect(Object.keys(saved.namespaces.default).sort()).toEqual(["c1", "g1", "g2"]);
+      expect(await gateway.get("c1")).toEqual(expect.objectContaining({ content: "Deploys the API on Fly.io" }));
+      await cli.delete("g1");
+      expect(await gateway.get("g1")).toBeNull();
+    });
+
+    it("waits for another process's lock", async () => {
+      await writeFile(`${path}.lock`, "12345");
+      setTimeout(() => rm(`${path}.lock`, { force: true }), 50);
+      await db.store("a", "hello world");
+      expect(await db.get("a")).toEqual({ _id: "a", content: "hello world" });
+    });
+
+    it("keeps writing after a failed write", async () => {
+      await writeFile(path, "{not json");
+      await expect(db.store("a", "one")).rejects.toThrow(/is unreadable/);
+      await rm(path);
+      await db.store("b", "two");
+      expect(await db.get("b")).toEqual({ _id: "b", content: "two" });
+    });
+  });
+
+  // -------------------------------------------------------------------------
+  // store / search / delete
+  // -------------------------------------------------------------------------
+  describe("store", () => {
+    it("persists records under the namespace", async () => {
+      await db.store("id-1", "hello world", { category: "fact" });
+      const saved = JSON.parse(await readFile(path, "utf8"));
+      expect(saved.namespaces.default["id-1"]).toEqual({
+        _id: "id-1",
+        content: "hello world",
+        category: "fact",
+      });
+    });
+
+    it("is readable by a fresh instance", async () => {
+      await db.store("id-1", "Prefers pnpm over npm", { category: "preference" });
+      const reopened = new LocalMemoryDB({ localPath: path });
+      const hits = await reopened.search("pnpm", 5, 0.1);
+      expect(hits[0]).toEqual(expect.objectContaining({ _id: "id-1", category: "preference" }));
+    });
+
+    it("keeps namespaces isolated", async () => {
+      await db.store("id-1", "Prefers pnpm over npm");
+      const other = new LocalMemoryDB({ localPath: path, namespace: "other" });
+      await other.store("id-2", "Prefers yarn over npm");
+      const reopened = new LocalMemoryDB({ localPath: path });
+      const hits = await reopened.search("prefers npm", 5, 0);
+      expect(hits.map((h) => h._id)).toEqual(["id-1"]);
+    });
+  });
+
+  describe("forNamespace", () => {
+    it("returns a cached view that shares the file", async () => {
+      const view = db.forNamespace("agent-a");
+      expect(db.forNamespace("agent-a")).toBe(view);
+      expect(db.forNamespace("default")).toBe(db);
+      await db.store("id-1", "Prefers pnpm over npm");
+      await view.store("id-2", "Prefers yarn over npm");
+      const saved = JSON.parse(await readFile(path, "utf8"));
+      expect(Object.keys(saved.namespaces.default)).toEqual(["id-1"]);
+      expect(Object.keys(saved.namespaces["agent-a"])).toEqual(["id-2"]);
+    });
+  });
+
+  describe("search", () => {
+    it("ranks by lexical score and applies threshold and topK", async () => {
+      await db.store("a", "Uses pnpm for the monorepo");
+      await db.store("b", "Deploys the API on Fly.io");
+      await db.store("c", "Monorepo uses turborepo and pnpm workspaces");
+      const hits = await db.search("pnpm monorepo", 1, 0.3);
+      expect(hits).toHaveLength(1);
+      expect(hits[0]._id).toBe("a");
+      expect(hits[0]._score).toBeGreaterThan(0.3);
+    });
+  });
+
+  describe("search with filter", () => {
+    beforeEach(async () => {
+      await db.store("a", "Prefers pnpm", { category: "preference", role: "tool", capturedAt: "2024-01-01T00:00:00Z" });
+      await db.store("b", "Chose pnpm workspaces", { category: "decision", role: "summary", capturedAt: "2025-06-01T00:00:00Z" });
+    });
+
+    it("filters by category", async () => {
+      const hits = await db.search("pnpm", 5, 0, { categories: ["decision"] });
+      expect(hits.map((h) => h._id)).toEqual(["b"]);
+    });
+
+    it("filters by role and capturedAt", async () => {
+      expect((await db.search("pnpm", 5, 0, { role: "tool" })).map((h) => h._id)).toEqual(["a"]);
+      expect((await db.search("pnpm", 5, 0, { until: "2024-12-31" })).map((h) => h._id)).toEqual(["a"]);
+    });
+  });
+
+  describe("get", () => {
+    it("returns a copy of the record or null", async () => {
+      await db.store("id-1", "hello world", { category: "fact" });
+      expect(await db.get("id-1")).toEqual({ _id: "id-1", content: "hello world", category: "fact" });
+      expect(await db.forNamespace("other").get("id-1")).toBeNull();
+    });
+  });
+
+  describe("delete", () => {
+    it("removes the record from disk", async () => {
+      await db.store("id-1", "hello world");
+      await db.delete("id-1");
+      const saved = JSON.parse(await readFile(path, "utf8"));
+      expect(saved.namespaces.default).toEqual({});
+    });
+  });
+
+  describe("archive", () => {
+    it("moves a memory to the archive namespace and back", async () => {
+      await db.store("id-1", "Prefers pnpm over npm", { category: "preference", capturedAt: "2025-01-01T00:00:00Z" });
+      const archived = await archiveMemory(db, "id-1", new Date("2025-03-01T00:00:00Z"));
+      expect(archived).toEqual(expect.objectContaining({ _id: "id-1", content: "Prefers pnpm over npm" }));
+      expect(await db.search("pnpm", 5, 0)).toEqual([]);
+      const saved = JSON.parse(await readFile(path, "utf8"));
+      expect(saved.namespaces.default__archive["id-1"]).toEqual({
+        _id: "id-1",
+        content: "Prefers pnpm over npm",
+        category: "preference",
+        capturedAt: "2025-01-01T00:00:00Z",
+        archivedAt: "2025-03-01T00:00:00.000Z",
+      });
+
+      await restoreMemory(db, "id-1");
+      expect(await db.get("id-1")).toEqual({
+        _id: "id-1",
+        content: "Prefers pnpm over npm",
+        category: "preference",
+        capturedAt: "2025-01-01T00:00:00Z",
+      });
+      expect(await db.forNamespace("default__archive").get("id-1")).toBeNull();
+    });
+
+    it("returns null for unknown ids", async () => {
+      expect(await archiveMemory(db, "missing")).toBeNull();
+      expect(await restoreMemory(db, "missing")).toBeNull();
+    });
+  });
+
+  describe("versions", () => {
+    beforeEach(async () => {
+      await db.store("id-1", "Uses npm", { category: "technical", capturedAt: "2025-01-01T00:00:00Z" });
+      await updateMemory(db, "id-1", "Uses yarn", { category: "technical", updatedAt: "2025-02-01T00:00:00Z" });
+      await updateMemory(db, "id-1", "Uses pnpm", { category: "technical", updatedAt: "2025-03-01T00:00:00Z" });
+    });
+
+    it("keeps each replaced text as a numbered version", async () => {
+      expect(await db.get("id-1")).toEqual(expect.objectContaining({ content: "Uses pnpm", version: 3 }));
+      const versions = await listVersions(db, "id-1");
+      expect(versions.map((v) => [v._id, v.version, v.content])).toEqual([
+        ["id-1#1", 1, "Uses npm"],
+        ["id-1#2", 2, "Uses yarn"],
+      ]);
+      expect(versions[1]).toEqual(expect.objectContaining({ memoryId: "id-1", updatedAt: "2025-02-01T00:00:00Z" }));
+    });
+
+    it("rolls back by writing the old text as a new version", async () => {
+      const result = await rollbackMemory(db, "id-1", 1);
+      expect(result.from.content).toBe("Uses pnpm");
+      const current = await db.get("id-1");
+      expect(current).toEqual(expect.objectContaining({ content: "Uses npm", version: 4, category: "technical" }));
+      expect(current).not.toHaveProperty("memoryId");
+      expect((await listVersions(db, "id-1")).map((v) => v.content)).toEqual(["Uses npm", "Uses yarn", "Uses pnpm"]);
+    });
+
+    it("defaults to the previous version and rejects unknown ones", async () => {
+      await rollbackMemory(db, "id-1");
+      expect((await db.get("id-1")).content).toBe("Uses yarn");
+      expect(await rollbackMemory(db, "id-1", 9)).toBeNull();
+      expect(await rollbackMemory(db, "missing")).toBeNull();
+    });
+  });
+
+  describe("isDuplicate", () => {
+    it("returns the hit for identical wording", async () => {
+      await db.store("dup", "Prefers dark mode in editors");
+      const result = await db.isDuplicate("prefers dark mode in editors");
+      expect(result).toEqual(expect.objectContaining({ _id: "dup", _score: 1 }));
+    });
+
+    it("returns null for a paraphrase below the threshold", async () => {
+      await db.store("x", "Prefers dark mode in editors");
+      expect(await db.isDuplicate("Likes dark themes")).toBeNull();
+    });
+  });
+});
+
+// ---------------------------------------------------------------------------
+// MemoryHistory
+// ---------------------------------------------------------------------------
+describe("MemoryHistory", () => {
+  let dir;
+  let history;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), "pinecone-memory-"));
+    history = new MemoryHistory({ historyPath: join(dir, "nested", "history.jsonl") });
+  });
+
+  afterEach(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it("returns nothing before the first write", async () => {
+    expect(await history.list()).toEqual([]);
+  });
+
+  it("appends timestamped entries and lists them newest first", async () => {
+    await Promise.all([
+      history.record({ event: "ADD", memoryId: "a", namespace: "default", newText: "one" }),
+      history.record({ event: "UPDATE", memoryId: "a", namespace: "default", oldText: "one", newText: "two" }),
+      history.record({ event: "ADD", memoryId: "b", namespace: "other", newText: "three" }),
+    ]);
+    const entries = await history.list();
+    expect(entries.map((e) => e.event)).toEqual(["ADD", "UPDATE", "ADD"]);
+    expect(entries[1]).toEqual(expect.objectContaining({ memoryId: "a", oldText: "one", newText: "two" }));
+    expect(entries[0].timestamp).toMatch(/^\d{4}-\d{2}-\d{2}T/);
+  });
+
+  it("filters by memory id and namespace and applies the limit", async () => {
+    await history.record({ event: "ADD", memoryId: "a", namespace: "default" });
+    await history.record({ event: "ADD", memoryId: "b", namespace: "default" });
+    await history.record({ event: "DELETE", memoryId: "a", namespace: "default" });
+    await history.record({ event: "ADD", memoryId: "a", namespace: "other" });
+    expect((await history.list({ memoryId: "a", namespace: "default" })).map((e) => e.event)).toEqual(["DELETE", "ADD"]);
+    expect(await history.list({ limit: 1 })).toHaveLength(1);
+  });
+
+  it("skips torn lines", async () => {
+    await history.record({ event: "ADD", memoryId: "a" });
+    await writeFile(history.path, `${await readFile(history.path, "utf8")}{"event":"AD`);
+    expect(await history.list()).toHaveLength(1);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// WriteQueue
+// ---------------------------------------------------------------------------
+describe("WriteQueue", () => {
+  let dir;
+  let queue;
+  let db;
+  let history;
+  const logger = { info: () => {}, warn: () => {} };
+  const op = (fields) => ({ namespace: "default", source: "heuristic", session: "s1", ...fields });
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), "pinecone-memory-"));
+    queue = new WriteQueue({ queuePath: join(dir, "nested", "queue.jsonl") });
+    db = new LocalMemoryDB({ localPath: join(dir, "memory.json") });
+    history = new MemoryHistory({ historyPath: join(dir, "history.jsonl") });
+  });
+
+  afterEach(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it("keeps queued writes in order across instances and skips torn lines", async () => {
+    await Promise.all([
+      queue.enqueue([op({ op: "store", id: "a", text: "one" })]),
+      queue.enqueue([op({ op: "delete", id: "b", archive: true })]),
+    ]);
+    await writeFile(queue.path, `${await readFile(queue.path, "utf8")}{"op":"sto`);
+    const reopened = new WriteQueue({ queuePath: queue.path });
+    const ops = await reopened.list();
+    expect(ops.map((o) => o.id)).toEqual(["a", "b"]);
+    expect(ops[0].queuedAt).toMatch(/^\d{4}-\d{2}-\d{2}T/);
+    expect(await reopened.clear()).toBe(2);
+    expect(await reopened.list()).toEqual([]);
+  });
+
+  it("replays store, update and delete in order and records them", async () => {
+    await db.store("old", "Uses npm", { category: "technical" });
+    await queue.enqueue([
+      op({ op: "store", id: "new", text: "Prefers dark mode", metadata: { category: "preference" } }),
+      op({ op: "update", id: "old", text: "Uses pnpm", metadata: { category: "technical" }, oldText: "npm" }),
+      op({ op: "store", id: "dup", text: "prefers dark mode", metadata: {}, dedupe: true }),
+      op({ op: "delete", id: "new", archive: true }),
+    ]);
+
+    const result = await replayWriteQueue(queue, db, logger, { history });
+
+    expect(result).toEqual({ replayed: 3, skipped: 1, failed: 0, remaining: 0 });
+    expect(await db.get("old")).toEqual(expect.objectContaining({ content: "Uses pnpm", version: 2 }));
+    expect(await db.get("new")).toBeNull();
+    expect(await db.forNamespace("default__archive").get("new")).toEqual(expect.objectContaining({ content: "Prefers dark mode" }));
+    const entries = await history.list();
+    expect(entries.map((e) => [e.event, e.memoryId, e.source, e.session])).toEqual([
+      ["DELETE", "new", "heuristic", "s1"],
+      ["UPDATE", "old", "heuristic", "s1"],
+      ["ADD", "new", "heuristic", "s1"],
+    ]);
+    expect(entries[1].oldText).toBe("Uses npm");
+    expect(await queue.list()).toEqual([]);
+  });
+
+  it("stops at a write the backend is still unavailable for and keeps the rest", async () => {
+    await queue.enqueue([
+      op({ op: "store", id: "a", text: "one", metadata: {} }),
+      op({ op: "store", id: "b", text: "two", metadata: {} }),
+      op({ op: "store", id: "c", text: "three", metadata: {} }),
+    ]);
+    const storeMany = db.storeMany.bind(db);
+    db.storeMany = async (entries) => {
+      if (entries[0].id === "b") throw Object.assign(new Error("pinecone unavailable"), { code: "CIRCUIT_OPEN" });
+      return storeMany(entries);
+    };
+
+    expect(await replayWriteQueue(queue, db, logger)).toEqual({ replayed: 1, skipped: 0, failed: 0, remaining: 2 });
+    expect((await queue.list()).map((o) => o.id)).toEqual(["b", "c"]);
+  });
+
+  it("keeps writes another process queued while a replay ran", async () => {
+    await queue.enqueue([op({ op: "store", id: "a", text: "one", metadata: {} }), op({ op: "store", id: "b", text: "two", metadata: {} })]);
+    const gateway = new WriteQueue({ queuePath: queue.path });
+    const storeMany = db.storeMany.bind(db);
+    db.storeMany = async (entries) => {
+      if (entries[0].id === "a") await gateway.enqueue([op({ op: "store", id: "c", text: "three", metadata: {} })]);
+      if (entries[0].id === "b") throw Object.assign(new Error("pinecone unavailable"), { code: "CIRCUIT_OPEN" });
+      return storeMany(entries);
+    };
+
+    expect(await replayWriteQueue(queue, db, logger)).toEqual({ replayed: 1, skipped: 0, failed: 0, remaining: 1 });
+    expect((await queue.list()).map((o) => o.id)).toEqual(["b", "c"]);
+  });
+
+  it("waits for another process's lock before appending", async () => {
+    await queue.enqueue([op({ op: "store", id: "a", text: "one" })]);
+    await writeFile(`${queue.path}.lock`, "12345");
+    setTimeout(() => rm(`${queue.path}.lock`, { force: true }), 50);
+    await queue.enqueue([op({ op: "store", id: "b", text: "two" })]);
+    expect((await queue.list()).map((o) => o.id)).toEqual(["a", "b"]);
+  });
+
+  it("drops a write that fails for another reason", async () => {
+    const warn = [];
+    await queue.enqueue([op({ op: "rename", id: "a" }), op({ op: "store", id: "b", text: "two", metadata: {} })]);
+    const result = await replayWriteQueue(queue, db, { ...logger, warn: (msg) => warn.push(msg) });
+    expect(result).toEqual({ replayed: 1, skipped: 0, failed: 1, remaining: 0 });
+    expect(warn).toEqual(['pinecone-memory: dropping queued rename of a: Unknown write operation "rename"']);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Consolidation
+// ---------------------------------------------------------------------------
+describe("consolidation", () => {
+  let dir;
+  let db;
+  let history;
+  const logger = { info: () => {}, warn: () => {} };
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), "pinecone-memory-"));
+    db = new LocalMemoryDB({ localPath: join(dir, "memory.json") });
+    history = new MemoryHistory({ historyPath: join(dir, "history.jsonl") });
+    await db.store("b", "Uses pnpm for the monorepo workspaces", { category: "technical", capturedAt: "2025-02-01T00:00:00Z" });
+    await db.store("a", "Uses pnpm for the monorepo", { category: "technical", capturedAt: "2025-01-01T00:00:00Z" });
+    await db.store("c", "Deploys the API on Fly.io", { category: "project", capturedAt: "2025-03-01T00:00:00Z" });
+  });
+
+  afterEach(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  async function all() {
+    const records = [];
+    for await (const record of db.scan()) records.push(record);
+    return records;
+  }
+
+  it("clusters near-duplicates oldest first and leaves the rest alone", async () => {
+    const clusters = await clusterMemories(db, await all(), { threshold: 0.8 });
+    expect(clusters.map((members) => members.map((m) => m._id))).toEqual([["a", "b"]]);
+    expect(await clusterMemories(db, await all(), { threshold: 0.95 })).toEqual([]);
+  });
+
+  it("merges into the oldest memory, keeping a version, the archive and the history", async () => {
+    const clusters = await clusterMemories(db, await all(), { threshold: 0.8 });
+    const proposals = await proposeMerges(clusters);
+    expect(proposals[0].text).toBe("Uses pnpm for the monorepo workspaces");
+
+    expect(await applyMerges(db, proposals, { logger, history, softDelete: true })).toBe(1);
+
+    expect(await db.get("a")).toEqual(expect.objectContaining({
+      content: "Uses pnpm for the monorepo workspaces",
+      capturedAt: "2025-01-01T00:00:00Z",
+      version: 2,
+    }));
+    expect(await db.get("b")).toBeNull();
+    expect(await db.forNamespace("default__archive").get("b")).toEqual(expect.objectContaining({ content: "Uses pnpm for the monorepo workspaces" }));
+    expect((await listVersions(db, "a")).map((v) => v.content)).toEqual(["Uses pnpm for the monorepo"]);
+    expect((await history.list()).map((e) => [e.event, e.memoryId, e.source])).toEqual([
+      ["DELETE", "b", "consolidate"],
+      ["UPDATE", "a", "consolidate"],
+    ]);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// lexicalScore
+// ---------------------------------------------------------------------------
+describe("lexicalScore", () => {
+  it("returns 1 for identical token sets and 0 for disjoint ones", () => {
+    expect(lexicalScore("dark mode editor", "Editor dark mode")).toBe(1);
+    expect(lexicalScore("dark mode", "pnpm workspaces")).toBe(0);
+  });
+
+  it("returns 0 for empty input", () => {
+    expect(lexicalScore("", "anything here")).toBe(0);
+  });
+
+  it("ignores stop words and matches simple word forms", () => {
+    expect(lexicalScore("which editor does the user prefer?", "Prefers the Helix editor")).toBeCloseTo(2 / 3);
+    expect(lexicalScore("deploying services", "Deploys the service on Fly.io")).toBeGreaterThan(0.5);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// createMemoryDB
+// ---------------------------------------------------------------------------
+describe("createMemoryDB", () => {
+  it("defaults to the Pinecone backend", () => {
+    expect(createMemoryDB({ pineconeApiKey: "k" })).toBeInstanceOf(PineconeMemoryDB);
+  });
+
+  it("selects the local backend", () => {
+    expect(createMemoryDB({ backend: "local" })).toBeInstanceOf(LocalMemoryDB);
+  });
+
+  it("rejects unknown backends", () => {
+    expect(() => createMemoryDB({ backend: "redis" })).toThrow(/Unknown backend "redis"/);
+  });
+});
@@ -1,4 +1,7 @@
-import { describe, it, expect, vi, beforeEach } from "vitest";
+import { describe, it, expect, vi, beforeEach, afterEach, afterAll } from "vitest";
+import { mkdtemp, readFile, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
 
 // ---------------------------------------------------------------------------
 // Mock Pinecone SDK
@@ -6,11 +9,17 @@ import { describe, it, expect, vi, beforeEach } from "vitest";
 const mockUpsertRecords = vi.fn().mockResolvedValue({});
 const mockSearchRecords = vi.fn().mockResolvedValue({ result: { hits: [] } });
 const mockDeleteOne = vi.fn().mockResolvedValue({});
+const mockDeleteMany = vi.fn().mockResolvedValue({});
+const mockListPaginated = vi.fn().mockResolvedValue({ vectors: [], pagination: undefined });
+const mockFetch = vi.fn().mockResolvedValue({ records: {} });
 
 const mockNamespace = vi.fn(() => ({
   upsertRecords: mockUpsertRecords,
   searchRecords: mockSearchRecords,
   deleteOne: mockDeleteOne,
+  deleteMany: mockDeleteMany,
+  listPaginated: mockListPaginated,
+  fetch: mockFetch,
 }));
 
 const mockIndex = vi.fn(() => ({ namespace: mockNamespace }));
@@ -26,7 +35,8 @@ vi.mock("@pinecone-database/pinecone", () => ({
 }));
 
 // Stable UUID for assertions
-vi.mock("node:crypto", () => ({
+vi.mock("node:crypto", async (importOriginal) => ({
+  ...(await importOriginal()),
   randomUUID: vi.fn(() => "test-uuid-1234"),
 }));
 
@@ -45,18 +55,45 @@ vi.mock("openai", () => ({
   })),
 }));
 
+const { Errors } = await vi.importActual("@pinecone-database/pinecone");
+const { default: OpenAI } = await import("openai");
 const { default: register } = await import("../index.js");
 
+// The error the Pinecone SDK throws for a failed request with this HTTP status.
+function pineconeHttpError(status, message) {
+  try {
+    return Errors.mapHttpStatusError({ status, message });
+  } catch (err) {
+    return err;
+  }
+}
+
+// History is on by default; keep test runs out of the real home directory.
+const historyDir = await mkdtemp(join(tmpdir(), "pinecone-memory-history-"));
+afterAll(() => rm(historyDir, { recursive: true, force: true }));
+
 // ---------------------------------------------------------------------------
 // Helpers — mock OpenClaw plugin API
 // ---------------------------------------------------------------------------
+// Each mock API gets its own write queue so captures queued by one test are
+// not replayed by the next.
+let mockApis = 0;
+
 function createMockApi(configOverrides = {}) {
   const hooks = {};
   const tools = {};
+  const toolFactories = {};
   let cliSetup = null;
 
   return {
-    pluginConfig: { pineconeApiKey: "test-key", ...configOverrides },
+    pluginConfig: {
+      pineconeApiKey: "test-key",
+      historyPath: join(historyDir, "history.jsonl"),
+      queuePath: join(historyDir, `queue-${mockApis++}.jsonl`),
+      // Capture inline, so agent_end has written by the time it resolves.
+      captureDebounceMs: 0,
+      ...configOverrides,
+    },
     logger: {
       info: vi.fn(),
       warn: vi.fn(),
@@ -66,18 +103,72 @@ function createMockApi(configOverrides = {}) {
     on(name, handler) {
       hooks[name] = handler;
     },
-    registerTool(tool) {
-      tools[tool.name] = tool;
+    registerTool(tool, opts = {}) {
+      if (typeof tool === "function") {
+        toolFactories[opts.name] = tool;
+        tools[opts.name] = tool({});
+      } else {
+        tools[tool.name] = tool;
+      }
     },
     registerCli(setup) {
       cliSetup = setup;
     },
     hooks,
     tools,
-    cliSetup,
+    toolFactories,
+    get cliSetup() {
+      return cliSetup;
+    },
+  };
+}
+
+// Minimal stand-in for the commander program handed to registerCli: records
+// each subcommand's option defaults and action so tests can invoke them.
+function createMockProgram() {
+  const commands = {};
+
+  function makeCommand() {
+    const cmd = {
+      defaults: {},
+      handler: null,
+      command(spec) {
+        const sub = makeCommand();
+        commands[spec.split(" ")[0]] = sub;
+        return sub;
+      },
+      description: () => cmd,
+      option(flags, _description, parserOrDefault, defaultValue) {
+        const key = flags
+          .match(/--([a-z-]+)/)[1]
+          .replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+        const value = typeof parserOrDefault === "function" ? defaultValue : parserOrDefault;
+        if (value !== undefined) cmd.defaults[key] = value;
+        return cmd;
+      },
+      action(fn) {
+        cmd.handler = fn;
+        return cmd;
+      },
+    };
+    return cmd;
+  }
+
+  return {
+    program: makeCommand(),
+    run(name, args = [], opts = {}) {
+      const cmd = commands[name];
+      return cmd.handler(...args, { ...cmd.defaults, ...opts });
+    },
   };
 }
 
+function setupCli(api) {
+  const cli = createMockProgram();
+  api.cliSetup({ program: cli.program });
+  return cli;
+}
+
 // ---------------------------------------------------------------------------
 // Tests
 // ---------------------------------------------------------------------------
@@ -104,6 +195,28 @@ describe("plugin – register", () => {
     );
   });
 
+  it("recalls paraphrased queries from the local backend", async () => {
+    const localApi = createMockApi({ backend: "local", pineconeApiKey: undefined, localPath: join(historyDir, "recall.json") });
+    register(localApi);
+    await localApi.hooks.agent_end({ messages: [{ role: "user", content: "I always prefer pnpm over npm for every project." }] });
+
+    const recalled = await localApi.hooks.before_agent_start({ prompt: "which package manager do I prefer?" });
+    expect(recalled.prependContext).toContain("prefer pnpm over npm");
+    const result = await localApi.tools.memory_search.execute("call-1", { query: "pnpm package manager" });
+    expect(result.content[0].text).toContain("prefer pnpm over npm");
+  });
+
+  it("uses the local backend without touching Pinecone", async () => {
+    const localApi = createMockApi({ backend: "local", pineconeApiKey: undefined, localPath: "/nonexistent/memory.json" });
+    register(localApi);
+    expect(localApi.logger.info).toHaveBeenCalledWith(
+      expect.stringContaining("backend: local")
+    );
+    const result = await localApi.tools.memory_search.execute("call-1", { query: "anything" });
+    expect(result.content[0].text).toBe("No matching memories found.");
+    expect(mockIndex).not.toHaveBeenCalled();
+  });
+
   // -------------------------------------------------------------------------
   // Recall hook (before_agent_start)
   // -------------------------------------------------------------------------
@@ -147,6 +260,61 @@ describe("plugin – register", () => {
       expect(result.prependContext).not.toContain("undefined");
     });
 
+    it("uses the configured recall format and strips it again on capture", async () => {
+      const xmlApi = createMockApi({ recallFormat: "xml", recallShowScores: false });
+      register(xmlApi);
+      mockSearchRecords.mockResolvedValueOnce({
+        result: { hits: [{ _id: "a", _score: 0.85, content: "I prefer dark mode in all my editors", category: "preference" }] },
+      });
+      const result = await xmlApi.hooks.before_agent_start({ prompt: "What theme do I like?" });
+      expect(result.prependContext).toBe(
+        '<relevant-memories format="xml">\n<memory id="a" category="preference">I prefer dark mode in all my editors</memory>\n</relevant-memories>'
+      );
+
+      mockSearchRecords.mockResolvedValue({ result: { hits: [] } });
+      await xmlApi.hooks.agent_end({
+        success: true,
+        messages: [{ role: "user", content: `${result.prependContext}\nThanks!` }],
+      });
+      expect(mockUpsertRecords).not.toHaveBeenCalled();
+    });
+
+    it("falls back to bullets for a template format without a template", async () => {
+      const badApi = createMockApi({ recallFormat: "template" });
+      register(badApi);
+      expect(badApi.logger.warn).toHaveBeenCalledWith(expect.stringContaining("needs a recallTemplate"));
+    });
+
+    it("searches on the prompt plus recent turns", async () => {
+      mockSearchRecords.mockResolvedValueOnce({ result: { hits: [] } });
+      await api.hooks.before_agent_start({
+        prompt: "Do it the usual way",
+        messages: [
+          { role: "user", content: "Set up the deploy pipeline" },
+          { role: "assistant", content: "Which host?" },
+        ],
+      });
+      expect(mockSearchRecords.mock.calls[0][0].query.inputs.text).toBe(
+        "Set up the deploy pipeline\nWhich host?\nDo it the usual way"
+      );
+    });
+
+    it("drops memories past the token budget", async () => {
+      const budgetApi = createMockApi({ recallTokenBudget: 20, recallOverflow: "drop" });
+      register(budgetApi);
+      mockSearchRecords.mockResolvedValueOnce({
+        result: {
+          hits: [
+            { _id: "a", _score: 0.9, content: "Prefers dark mode in every editor", category: "preference" },
+            { _id: "b", _score: 0.8, content: "Deploys the API on Fly.io with blue-green releases", category: "technical" },
+          ],
+        },
+      });
+      const result = await budgetApi.hooks.before_agent_start({ prompt: "What theme do I like?" });
+      expect(result.prependContext).toContain("Prefers dark mode");
+      expect(result.prependContext).not.toContain("Fly.io");
+    });
+
     it("returns undefined when no hits", async () => {
       mockSearchRecords.mockResolvedValueOnce({
         result: { hits: [] },
@@ -157,6 +325,71 @@ describe("plugin – register", () => {
       expect(result).toBeUndefined();
     });
 
+    it("over-fetches and re-ranks by recency when configured", async () => {
+      const recencyApi = createMockApi({ topK: 1, recency: { weight: 0.5, halfLife: "30d" } });
+      register(recencyApi);
+      mockSearchRecords.mockResolvedValueOnce({
+        result: {
+          hits: [
+            { _id: "old", _score: 0.9, content: "Prefers npm", capturedAt: "2020-01-01T00:00:00Z" },
+            { _id: "new", _score: 0.85, content: "Prefers pnpm", capturedAt: new Date().toISOString() },
+          ],
+        },
+      });
+      const result = await recencyApi.hooks.before_agent_start({ prompt: "Which package manager?" });
+      expect(mockSearchRecords.mock.calls[0][0].query.topK).toBe(3);
+      expect(result.prependContext).toContain("Prefers pnpm");
+      expect(result.prependContext).not.toContain("Prefers npm");
+    });
+
+    it("uses hosted reranking for recall but not for capture", async () => {
+      const rerankApi = createMockApi({ rerank: { model: "bge-reranker-v2-m3" } });
+      register(rerankApi);
+      mockSearchRecords.mockResolvedValue({ result: { hits: [] } });
+      await rerankApi.hooks.before_agent_start({ prompt: "Which package manager?" });
+      await rerankApi.hooks.agent_end({
+        messages: [{ role: "user", content: "I always prefer using TypeScript for new projects" }],
+      });
+      expect(mockSearchRecords.mock.calls[0][0].rerank).toEqual(expect.objectContaining({ model: "bge-reranker-v2-m3" }));
+      expect(mockSearchRecords.mock.calls[1][0].rerank).toBeUndefined();
+    });
+
+    it("fuses lexical scores in hybrid mode and thresholds the fused score", async () => {
+      const hybridApi = createMockApi({ topK: 2, hybrid: { denseWeight: 0.5, lexicalWeight: 0.5 } });
+      register(hybridApi);
+      mockSearchRecords.mockResolvedValueOnce({
+        result: {
+          hits: [
+            { _id: "near", _score: 0.5, content: "Repositories live on GitHub" },
+            { _id: "exact", _score: 0.3, content: "The acme-billing repo deploys to Fly.io" },
+            { _id: "noise", _score: 0.1, content: "Prefers dark mode" },
+          ],
+        },
+      });
+      const result = await hybridApi.hooks.before_agent_start({ prompt: "Where does acme-billing deploy?" });
+      expect(mockSearchRecords.mock.calls[0][0].query.topK).toBe(6);
+      const lines = result.prependContext.split("\n");
+      expect(lines[1]).toContain("acme-billing");
+      expect(result.prependContext).not.toContain("dark mode");
+    });
+
+    it("skips expired memories", async () => {
+      mockSearchRecords.mockResolvedValueOnce({
+        result: { hits: [{ _id: "a", _score: 0.9, content: "Working on the login bug", expiresAt: "2000-01-01T00:00:00Z" }] },
+      });
+      const result = await api.hooks.before_agent_start({ prompt: "What am I working on?" });
+      expect(result).toBeUndefined();
+    });
+
+    it("applies the configured recallFilter", async () => {
+      const filteredApi = createMockApi({ recallFilter: { excludeCategories: ["technical"] } });
+      register(filteredApi);
+      await filteredApi.hooks.before_agent_start({ prompt: "What theme do I like?" });
+      expect(mockSearchRecords.mock.calls[0][0].query.filter.$and[0]).toEqual({
+        category: { $nin: ["technical"] },
+      });
+    });
+
     it("handles errors gracefully", async () => {
       mockSearchRecords.mockRejectedValueOnce(new Error("network down"));
       const result = await api.hooks.before_agent_start({
@@ -208,6 +441,40 @@ describe("plugin – register", () => {
       expect(storedRecord.content).toBe("I always prefer dark mode");
     });
 
+    it("only extracts from messages the session has not captured yet", async () => {
+      mockSearchRecords.mockResolvedValue({ result: { hits: [] } });
+      const first = { role: "user", content: "I always prefer using TypeScript for new projects" };
+      const second = { role: "user", content: "We decided to deploy the API on Fly.io" };
+      await api.hooks.agent_end({ messages: [first] }, { sessionKey: "s-1" });
+      mockSearchRecords.mockClear();
+      mockUpsertRecords.mockClear();
+
+      await api.hooks.agent_end({ messages: [first, { role: "assistant", content: "Noted." }, second] }, { sessionKey: "s-1" });
+      expect(mockSearchRecords).toHaveBeenCalledOnce();
+      expect(mockUpsertRecords).toHaveBeenCalledWith({
+        records: [expect.objectContaining({ content: "We decided to deploy the API on Fly.io" })],
+      });
+
+      // Another session starts from its own window.
+      mockUpsertRecords.mockClear();
+      await api.hooks.agent_end({ messages: [first] }, { sessionKey: "s-2" });
+      expect(mockUpsertRecords).toHaveBeenCalledOnce();
+    });
+
+    it("looks at the last captureWindow messages", async () => {
+      mockSearchRecords.mockResolvedValue({ result: { hits: [] } });
+      const windowed = createMockApi({ captureWindow: 1 });
+      register(windowed);
+      await windowed.hooks.agent_end({
+        messages: [
+          { role: "user", content: "I always prefer using TypeScript for new projects" },
+          { role: "user", content: "We decided to deploy the API on Fly.io" },
+        ],
+      });
+      expect(mockUpsertRecords).toHaveBeenCalledOnce();
+      expect(mockUpsertRecords.mock.calls[0][0].records.map((r) => r.content)).toEqual(["We decided to deploy the API on Fly.io"]);
+    });
+
     it("skips messages that do not match capture patterns", async () => {
       await api.hooks.agent_end({
         messages: [{ role: "user", content: "The quick brown fox jumps over the lazy dog" }],
@@ -273,6 +540,41 @@ describe("plugin – register", () => {
 
       expect(mockDeleteOne).toHaveBeenCalledWith("existing-id");
     });
+
+    it("writes all of a turn's facts in one batch", async () => {
+      mockSearchRecords.mockResolvedValue({ result: { hits: [] } });
+      await api.hooks.agent_end({
+        messages: [
+          { role: "user", content: "I always prefer using TypeScript for new projects" },
+          { role: "user", content: "We decided to go with Postgres for the billing service" },
+        ],
+      });
+      expect(mockSearchRecords).toHaveBeenCalledTimes(2);
+      expect(mockUpsertRecords).toHaveBeenCalledOnce();
+      expect(mockUpsertRecords.mock.calls[0][0].records.map((r) => r.content)).toEqual([
+        "I always prefer using TypeScript for new projects",
+        "We decided to go with Postgres for the billing service",
+      ]);
+      expect(api.logger.info).toHaveBeenCalledWith(expect.stringContaining("added=2"));
+    });
+
+    it("retries a failed batch one write at a time", async () => {
+      mockSearchRecords.mockResolvedValue({ result: { hits: [] } });
+      mockUpsertRecords
+        .mockRejectedValueOnce(new Error("payload too large"))
+        .mockResolvedValueOnce({})
+        .mockRejectedValueOnce(new Error("bad record"));
+      await api.hooks.agent_end({
+        messages: [
+          { role: "user", content: "I always prefer using TypeScript for new projects" },
+          { role: "user", content: "We decided to go with Postgres for the billing service" },
+        ],
+      });
+      expect(mockUpsertRecords).toHaveBeenCalledTimes(3);
+      expect(api.logger.warn).toHaveBeenCalledWith("pinecone-memory: failed to apply ADD decision: bad record");
+      expect(api.logger.info).toHaveBeenCalledWith(expect.stringContaining("added=1"));
+      expect(api.logger.info).toHaveBeenCalledWith(expect.stringContaining("failed=1"));
+    });
   });
 
   // -------------------------------------------------------------------------
@@ -303,6 +605,26 @@ describe("plugin – register", () => {
       expect(mockUpsertRecords).not.toHaveBeenCalled();
     });
 
+    it("sets expiresAt from the ttl parameter", async () => {
+      mockSearchRecords.mockResolvedValueOnce({ result: { hits: [] } });
+      const result = await api.tools.memory_store.execute("call-1", {
+        text: "Working on the login bug this week",
+        ttl: "7d",
+      });
+      const storedRecord = mockUpsertRecords.mock.calls[0][0].records[0];
+      const days = (Date.parse(storedRecord.expiresAt) - Date.now()) / 86_400_000;
+      expect(days).toBeGreaterThan(6.9);
+      expect(days).toBeLessThanOrEqual(7);
+      expect(result.content[0].text).toContain("expires:");
+    });
+
+    it("rejects an invalid ttl", async () => {
+      mockSearchRecords.mockResolvedValueOnce({ result: { hits: [] } });
+      const result = await api.tools.memory_store.execute("call-1", { text: "Some fact to keep", ttl: "later" });
+      expect(result.content[0].text).toContain("Invalid ttl");
+      expect(mockUpsertRecords).not.toHaveBeenCalled();
+    });
+
     it("auto-detects category when not provided", async () => {
       mockSearchRecords.mockResolvedValueOnce({ result: { hits: [] } });
       await api.tools.memory_store.execute("call-1", {
@@ -338,6 +660,22 @@ describe("plugin – register", () => {
       expect(parsed[0].score).toBe("0.80");
     });
 
+    it("passes filter parameters through to the search", async () => {
+      mockSearchRecords.mockResolvedValueOnce({ result: { hits: [] } });
+      await api.tools.memory_search.execute("call-1", {
+        query: "theme",
+        categories: ["preference"],
+      });
+      expect(mockSearchRecords.mock.calls[0][0].query.filter.$and[0]).toEqual({
+        category: { $in: ["preference"] },
+      });
+    });
+
+    it("reports invalid time bounds", async () => {
+      const result = await api.tools.memory_search.execute("call-1", { query: "theme", since: "whenever" });
+      expect(result.content[0].text).toContain("Search failed: Invalid date");
+    });
+
     it("handles empty results", async () => {
       mockSearchRecords.mockResolvedValueOnce({ result: { hits: [] } });
       const result = await api.tools.memory_search.execute("call-1", { query: "nothing" });
@@ -407,140 +745,1105 @@ describe("plugin – register", () => {
 });
 
 // ---------------------------------------------------------------------------
-// autoCapture / autoRecall disabled
+// Namespace routing
 // ---------------------------------------------------------------------------
-describe("plugin – disabled hooks", () => {
-  it("does not register recall hook when autoRecall is false", () => {
-    const api = createMockApi({ autoRecall: false });
+describe("plugin – namespace templates", () => {
+  let api;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockListIndexes.mockResolvedValue({
+      indexes: [{ name: "openclaw-memory" }],
+    });
+    api = createMockApi({ namespace: "${agentId}-${userId}" });
     register(api);
-    expect(api.hooks.before_agent_start).toBeUndefined();
-    expect(api.hooks.agent_end).toBeDefined();
   });
 
-  it("does not register capture hook when autoCapture is false", () => {
-    const api = createMockApi({ autoCapture: false });
-    register(api);
-    expect(api.hooks.before_agent_start).toBeDefined();
-    expect(api.hooks.agent_end).toBeUndefined();
+  it("resolves the namespace from the hook context", async () => {
+    mockSearchRecords.mockResolvedValueOnce({ result: { hits: [] } });
+    await api.hooks.before_agent_start({ prompt: "What theme do I like?" }, { agentId: "coder", senderId: "alice" });
+    expect(mockNamespace).toHaveBeenCalledWith("coder-alice");
+  });
+
+  it("resolves the namespace from the tool context", async () => {
+    mockSearchRecords.mockResolvedValueOnce({ result: { hits: [] } });
+    const tool = api.toolFactories.memory_search({ agentId: "writer", userId: "bob" });
+    await tool.execute("call-1", { query: "theme" });
+    expect(mockNamespace).toHaveBeenCalledWith("writer-bob");
+  });
+
+  it("caches one namespace handle per resolved value and checks the index once", async () => {
+    mockSearchRecords.mockResolvedValue({ result: { hits: [] } });
+    const ctx = { agentId: "coder", userId: "alice" };
+    await api.hooks.before_agent_start({ prompt: "What theme do I like?" }, ctx);
+    await api.hooks.before_agent_start({ prompt: "Which editor do I use?" }, ctx);
+    await api.hooks.before_agent_start({ prompt: "Which editor do I use?" }, { agentId: "coder", userId: "carol" });
+    expect(mockNamespace.mock.calls.map(([ns]) => ns)).toEqual(["coder-alice", "coder-carol"]);
+    expect(mockListIndexes).toHaveBeenCalledTimes(1);
+  });
+
+  it("falls back to default for missing variables", async () => {
+    mockSearchRecords.mockResolvedValueOnce({ result: { hits: [] } });
+    await api.tools.memory_search.execute("call-1", { query: "theme" });
+    expect(mockNamespace).toHaveBeenCalledWith("default-default");
   });
 });
 
-// ---------------------------------------------------------------------------
-// LLM capture mode
-// ---------------------------------------------------------------------------
-describe("plugin – LLM capture mode", () => {
+describe("plugin – recall scopes", () => {
   let api;
+  const hitsByNamespace = {
+    "user-alice": [{ _id: "a", _score: 0.6, content: "Prefers dark mode in editors", category: "preference" }],
+    team: [
+      { _id: "b", _score: 0.9, content: "Team deploys with Fly.io", category: "technical" },
+      { _id: "c", _score: 0.8, content: "prefers dark mode in editors", category: "preference" },
+    ],
+  };
 
   beforeEach(() => {
     vi.clearAllMocks();
     mockListIndexes.mockResolvedValue({
       indexes: [{ name: "openclaw-memory" }],
     });
+    mockNamespace.mockImplementation((ns) => ({
+      upsertRecords: mockUpsertRecords,
+      searchRecords: vi.fn(async () => {
+        if (ns === "broken") throw new Error("boom");
+        return { result: { hits: hitsByNamespace[ns] ?? [] } };
+      }),
+    }));
+    api = createMockApi({
+      recallScopes: [
+        { name: "personal", namespace: "user-${userId}" },
+        { name: "team", namespace: "team", weight: 0.5, topK: 2 },
+      ],
+      writeScope: "personal",
+    });
+    register(api);
   });
 
-  it("uses LLM extraction when captureMode is llm", async () => {
-    // Step 1: extraction returns facts
-    mockChatCreate.mockResolvedValueOnce({
-      choices: [{ message: { content: JSON.stringify({ facts: ["The user prefers dark mode"] }) } }],
-    });
-    // Step 2: reconciliation returns ADD decision
-    mockSearchRecords.mockResolvedValue({ result: { hits: [] } });
-    mockChatCreate.mockResolvedValueOnce({
-      choices: [{
-        message: {
-          content: JSON.stringify({
-            memory: [{ id: "new", text: "The user prefers dark mode", event: "ADD", old_memory: null }],
-          }),
-        },
-      }],
-    });
+  afterEach(() => {
+    mockNamespace.mockReset();
+    mockNamespace.mockImplementation(() => ({
+      upsertRecords: mockUpsertRecords,
+      searchRecords: mockSearchRecords,
+      deleteOne: mockDeleteOne,
+      deleteMany: mockDeleteMany,
+      listPaginated: mockListPaginated,
+      fetch: mockFetch,
+    }));
+  });
 
-    api = createMockApi({ captureMode: "llm", openaiApiKey: "sk-test-key" });
+  it("merges weighted hits from every scope and labels each line", async () => {
+    const result = await api.hooks.before_agent_start({ prompt: "What editor theme do I like?" }, { userId: "alice" });
+    expect(mockNamespace).toHaveBeenCalledWith("user-alice");
+    expect(mockNamespace).toHaveBeenCalledWith("team");
+    const lines = result.prependContext.split("\n").slice(1, -1);
+    expect(lines).toEqual([
+      "- (0.60 [preference] {personal}) Prefers dark mode in editors",
+      "- (0.45 [technical] {team}) Team deploys with Fly.io",
+    ]);
+  });
+
+  it("skips a failing scope", async () => {
+    api = createMockApi({ recallScopes: ["team", "broken"] });
     register(api);
+    const result = await api.hooks.before_agent_start({ prompt: "How do we deploy?" });
+    expect(result.prependContext).toContain("{team}) Team deploys with Fly.io");
+    expect(api.logger.warn).toHaveBeenCalledWith(expect.stringContaining('scope "broken" failed: boom'));
+  });
 
-    await api.hooks.agent_end({
-      messages: [{ role: "user", content: "I prefer dark mode in all my editors" }],
-    });
+  it("writes captures to the write scope", async () => {
+    const tool = api.toolFactories.memory_store({ userId: "alice" });
+    await tool.execute("call-1", { text: "I prefer tabs over spaces" });
+    expect(mockNamespace.mock.calls.map(([ns]) => ns)).toEqual(["user-alice"]);
+    expect(mockUpsertRecords).toHaveBeenCalled();
+  });
+});
 
-    expect(mockChatCreate).toHaveBeenCalledTimes(2);
-    expect(mockUpsertRecords).toHaveBeenCalledWith({
-      records: [
-        expect.objectContaining({
-          content: "The user prefers dark mode",
-          role: "llm-extract",
-        }),
-      ],
+// ---------------------------------------------------------------------------
+// Resilience
+// ---------------------------------------------------------------------------
+describe("plugin – resilience", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockListIndexes.mockResolvedValue({
+      indexes: [{ name: "openclaw-memory" }],
     });
-    expect(api.logger.info).toHaveBeenCalledWith(
-      expect.stringContaining("llm capture")
-    );
   });
 
-  it("falls back to heuristic when LLM extraction fails", async () => {
-    mockChatCreate.mockRejectedValueOnce(new Error("API rate limited"));
+  afterEach(() => {
+    mockSearchRecords.mockReset();
     mockSearchRecords.mockResolvedValue({ result: { hits: [] } });
+  });
 
-    api = createMockApi({ captureMode: "llm", openaiApiKey: "sk-test-key" });
+  it("skips recall without calling Pinecone while the circuit is open", async () => {
+    mockSearchRecords.mockRejectedValue(pineconeHttpError(429, "Too Many Requests"));
+    const api = createMockApi({ resilience: { retries: 1, baseDelayMs: 0, failureThreshold: 1 } });
     register(api);
 
-    await api.hooks.agent_end({
-      messages: [{ role: "user", content: "I always prefer using TypeScript for new projects" }],
-    });
+    await api.hooks.before_agent_start({ prompt: "How do we deploy the API?" });
+    expect(mockSearchRecords).toHaveBeenCalledTimes(2);
+    expect(api.logger.warn).toHaveBeenCalledWith("pinecone-memory: recall failed: Too Many Requests Status: 429.");
 
-    expect(api.logger.warn).toHaveBeenCalledWith(
-      expect.stringContaining("llm capture failed, falling back to heuristic")
-    );
-    // Heuristic should still store the memory
-    expect(mockUpsertRecords).toHaveBeenCalled();
+    await api.hooks.before_agent_start({ prompt: "How do we deploy the API?" });
+    expect(mockSearchRecords).toHaveBeenCalledTimes(2);
+    expect(api.logger.warn).toHaveBeenCalledWith(expect.stringContaining("recall skipped: pinecone unavailable (circuit open"));
   });
 
-  it("falls back to heuristic when openaiApiKey is missing", async () => {
+  it("does not retry recall-path LLM calls", async () => {
     mockSearchRecords.mockResolvedValue({ result: { hits: [] } });
-
-    api = createMockApi({ captureMode: "llm" });
+    mockChatCreate.mockRejectedValueOnce(Object.assign(new Error("Rate limited"), { status: 429 }));
+    const api = createMockApi({ captureMode: "llm", openaiApiKey: "sk-test-key", recallQueryRewrite: true, resilience: { baseDelayMs: 0 } });
     register(api);
 
-    expect(api.logger.warn).toHaveBeenCalledWith(
-      expect.stringContaining("failed to create OpenAI client")
-    );
-
-    await api.hooks.agent_end({
-      messages: [{ role: "user", content: "I always prefer using TypeScript for new projects" }],
-    });
+    await api.hooks.before_agent_start({ prompt: "How do we deploy the API?" });
 
-    // Should fall back to heuristic since openaiClient is null
-    expect(mockChatCreate).not.toHaveBeenCalled();
-    expect(mockUpsertRecords).toHaveBeenCalled();
+    expect(mockChatCreate).toHaveBeenCalledOnce();
+    expect(api.logger.warn).toHaveBeenCalledWith("pinecone-memory: recall query rewrite failed: Rate limited");
+    expect(mockSearchRecords).toHaveBeenCalled();
   });
 
-  it("does not call OpenAI when captureMode is heuristic", async () => {
+  it("retries a rate-limited LLM call instead of falling back", async () => {
     mockSearchRecords.mockResolvedValue({ result: { hits: [] } });
-
-    api = createMockApi({ captureMode: "heuristic" });
+    mockChatCreate
+      .mockRejectedValueOnce(Object.assign(new Error("Rate limited"), { status: 429 }))
+      .mockResolvedValueOnce({ choices: [{ message: { content: JSON.stringify({ facts: ["Prefers dark mode"] }) } }] })
+      .mockResolvedValueOnce({
+        choices: [{ message: { content: JSON.stringify({ memory: [{ id: "new", text: "Prefers dark mode", event: "ADD" }] }) } }],
+      });
+    const api = createMockApi({ captureMode: "llm", openaiApiKey: "sk-test-key", resilience: { baseDelayMs: 0 } });
     register(api);
 
-    await api.hooks.agent_end({
-      messages: [{ role: "user", content: "I always prefer using TypeScript for new projects" }],
-    });
+    await api.hooks.agent_end({ messages: [{ role: "user", content: "I prefer dark mode in all my editors" }] });
 
-    expect(mockChatCreate).not.toHaveBeenCalled();
-    expect(mockUpsertRecords).toHaveBeenCalled();
+    expect(mockChatCreate).toHaveBeenCalledTimes(3);
+    expect(api.logger.warn).not.toHaveBeenCalled();
+    expect(mockUpsertRecords).toHaveBeenCalledWith({ records: [expect.objectContaining({ content: "Prefers dark mode" })] });
   });
+});
 
-  it("skips capture when LLM returns no facts", async () => {
-    mockChatCreate.mockResolvedValueOnce({
-      choices: [{ message: { content: JSON.stringify({ facts: [] }) } }],
-    });
+// ---------------------------------------------------------------------------
+// Background capture
+// ---------------------------------------------------------------------------
+describe("plugin – background capture", () => {
+  const first = { role: "user", content: "I always prefer using TypeScript for new projects" };
+  const second = { role: "user", content: "We decided to deploy the API on Fly.io" };
+  let api;
 
-    api = createMockApi({ captureMode: "llm", openaiApiKey: "sk-test-key" });
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.useFakeTimers();
+    mockListIndexes.mockResolvedValue({
+      indexes: [{ name: "openclaw-memory" }],
+    });
+    mockSearchRecords.mockResolvedValue({ result: { hits: [] } });
+    api = createMockApi({ captureDebounceMs: 1000 });
     register(api);
+  });
 
-    await api.hooks.agent_end({
-      messages: [{ role: "user", content: "Hello, how are you?" }],
-    });
+  afterEach(() => {
+    vi.useRealTimers();
+  });
 
-    // Extraction returned empty facts, so no reconciliation or storage
-    expect(mockChatCreate).toHaveBeenCalledTimes(1);
+  it("coalesces a burst of turns into one capture after the session goes quiet", async () => {
+    await api.hooks.agent_end({ messages: [first] }, { sessionKey: "s-1" });
+    await vi.advanceTimersByTimeAsync(500);
+    await api.hooks.agent_end({ messages: [first, { role: "assistant", content: "Noted." }, second] }, { sessionKey: "s-1" });
+    await vi.advanceTimersByTimeAsync(500);
+    expect(mockSearchRecords).not.toHaveBeenCalled();
+
+    await vi.advanceTimersByTimeAsync(500);
+    await api.hooks.gateway_stop();
+    expect(mockSearchRecords).toHaveBeenCalledTimes(2);
+    expect(mockUpsertRecords).toHaveBeenCalledOnce();
+    expect(mockUpsertRecords.mock.calls[0][0].records.map((r) => r.content)).toEqual([first.content, second.content]);
+  });
+
+  it("writes pending captures when the gateway stops", async () => {
+    await api.hooks.agent_end({ messages: [first] }, { sessionKey: "s-1" });
+    await api.hooks.agent_end({ messages: [second] }, { sessionKey: "s-2" });
+    expect(mockUpsertRecords).not.toHaveBeenCalled();
+
+    await api.hooks.gateway_stop();
+    expect(mockUpsertRecords).toHaveBeenCalledTimes(2);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Write queue
+// ---------------------------------------------------------------------------
+describe("plugin – write queue", () => {
+  const turn = { messages: [{ role: "user", content: "I prefer dark mode in all my editors" }] };
+  let queuePath;
+  let runs = 0;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockListIndexes.mockResolvedValue({
+      indexes: [{ name: "openclaw-memory" }],
+    });
+    mockSearchRecords.mockRejectedValue(pineconeHttpError(504, "Gateway Timeout"));
+    queuePath = join(historyDir, `write-queue-${runs++}.jsonl`);
+  });
+
+  afterEach(() => {
+    mockSearchRecords.mockReset();
+    mockSearchRecords.mockResolvedValue({ result: { hits: [] } });
+  });
+
+  it("queues captures while Pinecone is down and replays them after a restart", async () => {
+    const api = createMockApi({ queuePath, resilience: { retries: 0 } });
+    register(api);
+    await api.hooks.agent_end(turn);
+
+    expect(mockUpsertRecords).not.toHaveBeenCalled();
+    expect(api.logger.info).toHaveBeenCalledWith(expect.stringContaining("queued=1"));
+    const [queued] = (await readFile(queuePath, "utf8")).trim().split("\n").map((line) => JSON.parse(line));
+    expect(queued).toEqual(expect.objectContaining({ op: "store", namespace: "default", source: "heuristic", dedupe: true }));
+
+    mockSearchRecords.mockResolvedValue({ result: { hits: [] } });
+    const restarted = createMockApi({ queuePath });
+    register(restarted);
+    await restarted.hooks.agent_end({ messages: [] });
+
+    expect(mockUpsertRecords).toHaveBeenCalledWith({
+      records: [expect.objectContaining({ _id: queued.id, content: queued.text })],
+    });
+    expect(restarted.logger.info).toHaveBeenCalledWith(expect.stringContaining("replayed=1 skipped=0 dropped=0 remaining=0"));
+    await expect(readFile(queuePath, "utf8")).rejects.toThrow(/ENOENT/);
+  });
+
+  it("replays queued writes when the gateway starts, even in dry-run", async () => {
+    const api = createMockApi({ queuePath, resilience: { retries: 0 } });
+    register(api);
+    await api.hooks.agent_end(turn);
+
+    mockSearchRecords.mockResolvedValue({ result: { hits: [] } });
+    const restarted = createMockApi({ queuePath, captureDryRun: true });
+    register(restarted);
+    await restarted.hooks.gateway_start({});
+
+    expect(mockUpsertRecords).toHaveBeenCalledOnce();
+    expect(restarted.logger.info).toHaveBeenCalledWith(expect.stringContaining("replayed=1 skipped=0 dropped=0 remaining=0"));
+  });
+
+  it("replays queued writes as soon as Pinecone answers again", async () => {
+    const api = createMockApi({ queuePath, resilience: { retries: 0 } });
+    register(api);
+    await api.hooks.agent_end(turn);
+    expect(mockUpsertRecords).not.toHaveBeenCalled();
+
+    mockSearchRecords.mockResolvedValue({ result: { hits: [] } });
+    await api.tools.memory_search.execute("call-1", { query: "theme" });
+
+    await vi.waitFor(() => expect(api.logger.info).toHaveBeenCalledWith(expect.stringContaining("replayed=1")));
+    expect(mockUpsertRecords).toHaveBeenCalledOnce();
+  });
+
+  it("skips a queued fact that was stored by the time it is replayed", async () => {
+    const api = createMockApi({ queuePath, resilience: { retries: 0 } });
+    register(api);
+    await api.hooks.agent_end(turn);
+
+    mockSearchRecords.mockResolvedValue({ result: { hits: [{ _id: "existing", _score: 0.99, fields: { content: "Prefers dark mode" } }] } });
+    const cli = setupCli(api);
+    const log = vi.spyOn(console, "log").mockImplementation(() => {});
+    await cli.run("queue", ["flush"]);
+    expect(log).toHaveBeenCalledWith("Replayed 0, skipped 1 duplicate(s), dropped 0; 0 still queued.");
+    expect(mockUpsertRecords).not.toHaveBeenCalled();
+    log.mockRestore();
+  });
+
+  it("lists and clears the queue from the CLI", async () => {
+    const api = createMockApi({ queuePath, resilience: { retries: 0 } });
+    register(api);
+    await api.hooks.agent_end(turn);
+    const cli = setupCli(api);
+    const log = vi.spyOn(console, "log").mockImplementation(() => {});
+
+    await cli.run("queue", [undefined]);
+    expect(log).toHaveBeenCalledWith(expect.stringMatching(/^\S+ STORE test-uuid-1234 \(default\): ".*dark mode.*" \[if new\]$/));
+    expect(log).toHaveBeenCalledWith(`1 queued write(s) in ${queuePath}`);
+
+    await cli.run("queue", ["clear"]);
+    expect(log).toHaveBeenCalledWith("Discarded 1 queued write(s).");
+    await cli.run("queue", ["list"]);
+    expect(log).toHaveBeenLastCalledWith("No queued writes.");
+    log.mockRestore();
+  });
+
+  it("does not queue when writeQueue is false", async () => {
+    const api = createMockApi({ queuePath, writeQueue: false, resilience: { retries: 0 } });
+    register(api);
+    await api.hooks.agent_end(turn);
+
+    expect(api.logger.warn).toHaveBeenCalledWith("pinecone-memory: failed to evaluate captured fact: Gateway Timeout Status: 504.");
+    await expect(readFile(queuePath, "utf8")).rejects.toThrow(/ENOENT/);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Redaction
+// ---------------------------------------------------------------------------
+describe("plugin – redaction", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockListIndexes.mockResolvedValue({
+      indexes: [{ name: "openclaw-memory" }],
+    });
+    mockSearchRecords.mockResolvedValue({ result: { hits: [] } });
+  });
+
+  it("masks secrets in captured facts by default", async () => {
+    const api = createMockApi();
+    register(api);
+    await api.hooks.agent_end({
+      messages: [{ role: "user", content: "Remember that the staging project uses the key sk-proj-abcdefghijklmnopqrstuvwx12" }],
+    });
+    expect(mockUpsertRecords).toHaveBeenCalledWith({
+      records: [expect.objectContaining({ content: "Remember that the staging project uses the key [REDACTED:api-key]" })],
+    });
+  });
+
+  it("masks memory_store text and says what was redacted", async () => {
+    const api = createMockApi();
+    register(api);
+    const result = await api.tools.memory_store.execute("call-1", { text: "Send release notes to jane@example.com" });
+    expect(mockUpsertRecords.mock.calls[0][0].records[0].content).toBe("Send release notes to [REDACTED:email]");
+    expect(result.content[0].text).toContain("redacted: email");
+  });
+
+  it("refuses the write in reject mode", async () => {
+    const api = createMockApi({ redaction: "reject" });
+    register(api);
+    const result = await api.tools.memory_store.execute("call-1", { text: "Prod token is pcsk_3abcDEF123456789abcdefGHIJ" });
+    expect(result.content[0].text).toContain("Not stored: the memory contains sensitive data (pinecone-key)");
+
+    await api.hooks.agent_end({
+      messages: [{ role: "user", content: "Remember my phone number is +1 (555) 123-4567 for the project" }],
+    });
+    expect(mockUpsertRecords).not.toHaveBeenCalled();
+    expect(api.logger.warn).toHaveBeenCalledWith("pinecone-memory: refused to store a captured fact containing phone");
+    expect(api.logger.info).toHaveBeenCalledWith(expect.stringContaining("refused=1"));
+  });
+
+  it("limits detection to redactionTypes and can be turned off", async () => {
+    let api = createMockApi({ redactionTypes: ["api-key"] });
+    register(api);
+    await api.tools.memory_store.execute("call-1", { text: "Send release notes to jane@example.com" });
+    expect(mockUpsertRecords.mock.calls[0][0].records[0].content).toBe("Send release notes to jane@example.com");
+
+    api = createMockApi({ redaction: "off" });
+    register(api);
+    await api.tools.memory_store.execute("call-1", { text: "Staging key is sk-proj-abcdefghijklmnopqrstuvwx12" });
+    expect(mockUpsertRecords.mock.calls[1][0].records[0].content).toBe("Staging key is sk-proj-abcdefghijklmnopqrstuvwx12");
+  });
+
+  it("falls back to masking everything on invalid config", () => {
+    const api = createMockApi({ redactionTypes: ["ssn"] });
+    register(api);
+    expect(api.logger.warn).toHaveBeenCalledWith(expect.stringContaining("ignoring redaction config: Unknown redactionTypes ssn"));
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Soft delete
+// ---------------------------------------------------------------------------
+describe("plugin – soft delete", () => {
+  let api;
+  let log;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockListIndexes.mockResolvedValue({
+      indexes: [{ name: "openclaw-memory" }],
+    });
+    api = createMockApi();
+    register(api);
+    log = vi.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    log.mockRestore();
+  });
+
+  it("archives the memory and returns the archive id from memory_forget", async () => {
+    mockFetch.mockResolvedValueOnce({
+      records: { "mem-1": { id: "mem-1", metadata: { content: "Uses tabs", category: "preference" } } },
+    });
+    const result = await api.tools.memory_forget.execute("call-1", { memoryId: "mem-1" });
+    expect(mockNamespace).toHaveBeenCalledWith("default__archive");
+    expect(mockUpsertRecords).toHaveBeenCalledWith({
+      records: [expect.objectContaining({ _id: "mem-1", content: "Uses tabs", category: "preference", archivedAt: expect.any(String) })],
+    });
+    expect(mockDeleteOne).toHaveBeenCalledWith("mem-1");
+    expect(result.content[0].text).toBe(
+      "Memory mem-1 archived. Archive id: mem-1 (undo with memory_restore, or `openclaw pinecone-memory restore mem-1 --namespace default`)."
+    );
+  });
+
+  it("deletes outright when soft delete is off", async () => {
+    api = createMockApi({ softDelete: false });
+    register(api);
+    const result = await api.tools.memory_forget.execute("call-1", { memoryId: "mem-1" });
+    expect(mockUpsertRecords).not.toHaveBeenCalled();
+    expect(result.content[0].text).toBe("Memory mem-1 deleted.");
+  });
+
+  it("restores an archived memory from the CLI", async () => {
+    mockFetch.mockResolvedValueOnce({
+      records: { "mem-1": { id: "mem-1", metadata: { content: "Uses tabs", category: "preference", archivedAt: "2025-01-01T00:00:00Z" } } },
+    });
+    await setupCli(api).run("restore", ["mem-1"]);
+    const [record] = mockUpsertRecords.mock.calls[0][0].records;
+    expect(record).toEqual({ _id: "mem-1", content: "Uses tabs", category: "preference" });
+    expect(mockDeleteOne).toHaveBeenCalledWith("mem-1");
+    expect(log).toHaveBeenCalledWith("Restored memory mem-1: Uses tabs");
+  });
+
+  it("restores an archived memory into the tool's namespace", async () => {
+    api = createMockApi({ namespace: "${agentId}" });
+    register(api);
+    mockFetch.mockResolvedValueOnce({
+      records: { "mem-1": { id: "mem-1", metadata: { content: "Uses tabs", category: "preference", archivedAt: "2025-01-01T00:00:00Z" } } },
+    });
+    const tool = api.toolFactories.memory_restore({ agentId: "coder" });
+    const result = await tool.execute("call-1", { memoryId: "mem-1" });
+    expect(mockNamespace).toHaveBeenCalledWith("coder__archive");
+    expect(mockNamespace).toHaveBeenCalledWith("coder");
+    const [record] = mockUpsertRecords.mock.calls[0][0].records;
+    expect(record).toEqual({ _id: "mem-1", content: "Uses tabs", category: "preference" });
+    expect(mockDeleteOne).toHaveBeenCalledWith("mem-1");
+    expect(result.content[0].text).toBe('Restored memory mem-1: "Uses tabs"');
+  });
+
+  it("reports a missing archive id from memory_restore", async () => {
+    mockFetch.mockResolvedValueOnce({ records: {} });
+    const result = await api.tools.memory_restore.execute("call-1", { memoryId: "nope" });
+    expect(mockUpsertRecords).not.toHaveBeenCalled();
+    expect(result.content[0].text).toBe("No archived memory with id nope.");
+  });
+
+  it("purges only memories archived before the cutoff", async () => {
+    const old = new Date(Date.now() - 40 * 86_400_000).toISOString();
+    const recent = new Date().toISOString();
+    mockListPaginated.mockResolvedValueOnce({ vectors: [{ id: "a" }, { id: "b" }] });
+    mockFetch.mockResolvedValueOnce({
+      records: {
+        a: { id: "a", metadata: { content: "Old", archivedAt: old } },
+        b: { id: "b", metadata: { content: "New", archivedAt: recent } },
+      },
+    });
+    await setupCli(api).run("purge", []);
+    expect(mockNamespace).toHaveBeenCalledWith("default__archive");
+    expect(mockDeleteMany).toHaveBeenCalledWith({ ids: ["a"] });
+    expect(log).toHaveBeenCalledWith("Purged 1 archived memory.");
+  });
+
+  it("restores into the namespace given with --namespace", async () => {
+    mockFetch.mockResolvedValueOnce({
+      records: { "mem-1": { id: "mem-1", metadata: { content: "Uses tabs", category: "preference", archivedAt: "2025-01-01T00:00:00Z" } } },
+    });
+    await setupCli(api).run("restore", ["mem-1"], { namespace: "coder-alice" });
+    expect(mockNamespace).toHaveBeenCalledWith("coder-alice__archive");
+    expect(mockNamespace).toHaveBeenCalledWith("coder-alice");
+    expect(mockNamespace).not.toHaveBeenCalledWith("default__archive");
+    expect(log).toHaveBeenCalledWith("Restored memory mem-1: Uses tabs");
+  });
+
+  it("purges the archive of the namespace given with --namespace", async () => {
+    mockListPaginated.mockResolvedValueOnce({ vectors: [] });
+    await setupCli(api).run("purge", [], { namespace: "team" });
+    expect(mockNamespace).toHaveBeenCalledWith("team__archive");
+    expect(mockNamespace).not.toHaveBeenCalledWith("default__archive");
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Versions
+// ---------------------------------------------------------------------------
+describe("plugin – versions", () => {
+  let api;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockListIndexes.mockResolvedValue({
+      indexes: [{ name: "openclaw-memory" }],
+    });
+    api = createMockApi();
+    register(api);
+  });
+
+  it("shows the version count in memory_search", async () => {
+    mockSearchRecords.mockResolvedValueOnce({
+      result: { hits: [{ _id: "a", _score: 0.9, content: "Uses pnpm", category: "technical", version: 3 }] },
+    });
+    const result = await api.tools.memory_search.execute("call-1", { query: "package manager" });
+    expect(JSON.parse(result.content[0].text)[0].versions).toBe(3);
+  });
+
+  it("rolls back from the CLI", async () => {
+    const log = vi.spyOn(console, "log").mockImplementation(() => {});
+    const stored = {
+      "mem-1": { content: "Uses pnpm", version: 2 },
+      "mem-1#1": { content: "Uses npm", memoryId: "mem-1", version: 1 },
+    };
+    mockFetch.mockImplementation(async ({ ids: [id] }) => ({
+      records: stored[id] ? { [id]: { id, metadata: stored[id] } } : {},
+    }));
+    try {
+      // Commander passes undefined for an omitted optional argument.
+      await setupCli(api).run("rollback", ["mem-1", undefined]);
+      expect(mockUpsertRecords).toHaveBeenLastCalledWith({
+        records: [expect.objectContaining({ _id: "mem-1", content: "Uses npm", version: 3 })],
+      });
+      expect(log).toHaveBeenCalledWith("Rolled back memory mem-1 to v1: Uses npm");
+    } finally {
+      log.mockRestore();
+      mockFetch.mockReset();
+      mockFetch.mockResolvedValue({ records: {} });
+    }
+  });
+});
+
+// ---------------------------------------------------------------------------
+// History
+// ---------------------------------------------------------------------------
+describe("plugin – history", () => {
+  let api;
+  let historyPath;
+  let runs = 0;
+
+  const readHistory = async () =>
+    (await readFile(historyPath, "utf8")).trim().split("\n").map((line) => JSON.parse(line));
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockListIndexes.mockResolvedValue({
+      indexes: [{ name: "openclaw-memory" }],
+    });
+    historyPath = join(historyDir, `run-${runs++}.jsonl`);
+    api = createMockApi({ historyPath });
+    register(api);
+  });
+
+  it("records heuristic captures with the session", async () => {
+    mockSearchRecords.mockResolvedValue({ result: { hits: [] } });
+    await api.hooks.agent_end(
+      { messages: [{ role: "user", content: "I prefer dark mode in all my editors" }] },
+      { sessionKey: "agent:main:s-1" }
+    );
+    expect(await readHistory()).toEqual([
+      expect.objectContaining({
+        event: "ADD",
+        memoryId: "test-uuid-1234",
+        namespace: "default",
+        newText: "I prefer dark mode in all my editors",
+        source: "heuristic",
+        session: "agent:main:s-1",
+      }),
+    ]);
+  });
+
+  it("records tool deletes with the stored text and lists them via memory_history", async () => {
+    mockFetch.mockResolvedValueOnce({ records: { "mem-1": { id: "mem-1", metadata: { content: "Uses tabs" } } } });
+    await api.tools.memory_forget.execute("call-1", { memoryId: "mem-1" });
+    const [entry] = await readHistory();
+    expect(entry).toEqual(expect.objectContaining({ event: "DELETE", memoryId: "mem-1", oldText: "Uses tabs", source: "tool" }));
+
+    const result = await api.tools.memory_history.execute("call-2", { memoryId: "mem-1" });
+    expect(result.content[0].text).toContain('DELETE mem-1 (tool): "Uses tabs"');
+  });
+
+  it("prints entries from the history CLI", async () => {
+    await api.tools.memory_store.execute("call-1", { text: "I prefer pnpm over npm" });
+    const log = vi.spyOn(console, "log").mockImplementation(() => {});
+    try {
+      await setupCli(api).run("history", ["test-uuid-1234"]);
+      expect(log).toHaveBeenCalledWith(expect.stringContaining('ADD test-uuid-1234 (tool): "I prefer pnpm over npm"'));
+    } finally {
+      log.mockRestore();
+    }
+  });
+
+  it("can be turned off", async () => {
+    api = createMockApi({ historyPath, history: false });
+    register(api);
+    await api.tools.memory_store.execute("call-1", { text: "I prefer pnpm over npm" });
+    await expect(readFile(historyPath, "utf8")).rejects.toThrow(/ENOENT/);
+    const result = await api.tools.memory_history.execute("call-2", {});
+    expect(result.content[0].text).toBe("Memory history is disabled.");
+  });
+});
+
+// ---------------------------------------------------------------------------
+// CLI
+// ---------------------------------------------------------------------------
+describe("plugin – CLI", () => {
+  let api;
+  let cli;
+  let log;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockListIndexes.mockResolvedValue({
+      indexes: [{ name: "openclaw-memory" }],
+    });
+    api = createMockApi();
+    register(api);
+    cli = setupCli(api);
+    log = vi.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    log.mockRestore();
+  });
+
+  describe("stats", () => {
+    it("reports the circuit breaker state even when Pinecone is down", async () => {
+      const error = vi.spyOn(console, "error").mockImplementation(() => {});
+      mockListIndexes.mockRejectedValue(pineconeHttpError(502, "Bad Gateway"));
+      api = createMockApi({ resilience: { baseDelayMs: 0, failureThreshold: 1 } });
+      register(api);
+      cli = setupCli(api);
+
+      await cli.run("stats");
+
+      expect(log).toHaveBeenCalledWith(expect.stringMatching(/^ {2}Pinecone: +open until .*; last error: Bad Gateway Status: 502\.$/));
+      expect(log).toHaveBeenCalledWith(expect.stringContaining("Retries:       2 (timeout 10000ms"));
+      expect(error).toHaveBeenCalledWith("Stats error:", "Bad Gateway Status: 502.");
+      error.mockRestore();
+    });
+  });
+
+  describe("export", () => {
+    beforeEach(() => {
+      mockListPaginated.mockResolvedValueOnce({ vectors: [{ id: "b" }, { id: "a" }] });
+      mockFetch.mockResolvedValueOnce({
+        records: {
+          a: { id: "a", metadata: { content: "Prefers pnpm", category: "preference", role: "tool", capturedAt: "2025-01-01T00:00:00Z" } },
+          b: { id: "b", metadata: { content: "Deploys on Fly.io", category: "project", role: "summary", capturedAt: "2025-02-01T00:00:00Z" } },
+        },
+      });
+    });
+
+    it("writes JSONL ordered by capture time", async () => {
+      const write = vi.spyOn(process.stdout, "write").mockImplementation(() => true);
+      await cli.run("export");
+      const lines = write.mock.calls[0][0].trim().split("\n").map((l) => JSON.parse(l));
+      write.mockRestore();
+      expect(lines).toEqual([
+        { id: "a", content: "Prefers pnpm", category: "preference", role: "tool", capturedAt: "2025-01-01T00:00:00Z", updatedAt: null },
+        { id: "b", content: "Deploys on Fly.io", category: "project", role: "summary", capturedAt: "2025-02-01T00:00:00Z", updatedAt: null },
+      ]);
+    });
+
+    it("writes Markdown grouped by category to a file", async () => {
+      const dir = await mkdtemp(join(tmpdir(), "pinecone-memory-"));
+      const out = join(dir, "memories.md");
+      await cli.run("export", [], { format: "markdown", out });
+      const markdown = await readFile(out, "utf8");
+      await rm(dir, { recursive: true, force: true });
+      expect(markdown).toContain("## preference\n\n- Prefers pnpm <!-- id=a; role=tool; capturedAt=2025-01-01T00:00:00Z -->");
+      expect(markdown).toContain("## project");
+      expect(log).toHaveBeenCalledWith(expect.stringContaining("Exported 2 memories"));
+    });
+  });
+
+  describe("import", () => {
+    it("imports a Markdown file and prints a summary", async () => {
+      const dir = await mkdtemp(join(tmpdir(), "pinecone-memory-"));
+      const file = join(dir, "notes.md");
+      await writeFile(file, "- I always prefer pnpm over npm\n- Deploys the API on Fly.io\n");
+      mockSearchRecords
+        .mockResolvedValueOnce({ result: { hits: [] } })
+        .mockResolvedValueOnce({ result: { hits: [{ _id: "dup", _score: 0.99, content: "Deploys the API on Fly.io" }] } });
+
+      await cli.run("import", [file]);
+      await rm(dir, { recursive: true, force: true });
+
+      expect(mockUpsertRecords).toHaveBeenCalledTimes(1);
+      expect(mockUpsertRecords.mock.calls[0][0].records).toEqual([
+        expect.objectContaining({ _id: "test-uuid-1234", content: "I always prefer pnpm over npm", category: "preference", role: "import" }),
+      ]);
+      expect(log).toHaveBeenCalledWith("Import summary: entries=2 added=1 skipped=1 failed=0");
+    });
+  });
+
+  describe("simulate", () => {
+    let dir;
+    let file;
+
+    beforeEach(async () => {
+      dir = await mkdtemp(join(tmpdir(), "pinecone-memory-"));
+      file = join(dir, "transcript.json");
+      await writeFile(file, JSON.stringify({
+        messages: [
+          { role: "user", content: "I prefer pnpm over npm for every project" },
+          { role: "user", content: "I always use tabs for indentation" },
+        ],
+      }));
+    });
+
+    afterEach(async () => {
+      await rm(dir, { recursive: true, force: true });
+    });
+
+    it("prints heuristic decisions without writing", async () => {
+      mockSearchRecords
+        .mockResolvedValueOnce({ result: { hits: [] } })
+        .mockResolvedValueOnce({ result: { hits: [{ _id: "old-1", _score: 0.8, content: "I always use spaces for indentation" }] } });
+
+      await cli.run("simulate", [file]);
+
+      expect(mockUpsertRecords).not.toHaveBeenCalled();
+      expect(mockDeleteOne).not.toHaveBeenCalled();
+      expect(log).toHaveBeenCalledWith("Mode: heuristic (2 of 2 messages)");
+      expect(log).toHaveBeenCalledWith('  ADD     "I prefer pnpm over npm for every project" [preference]');
+      expect(log).toHaveBeenCalledWith(
+        '  UPDATE  old-1 "I always use spaces for indentation" -> "I always use tabs for indentation" (score 0.80)'
+      );
+      expect(log).toHaveBeenCalledWith("Summary: add=1 update=1 delete=0 none=0 (nothing written)");
+    });
+
+    it("runs the LLM pipeline when asked", async () => {
+      mockChatCreate
+        .mockResolvedValueOnce({ choices: [{ message: { content: JSON.stringify({ facts: ["Prefers pnpm"] }) } }] })
+        .mockResolvedValueOnce({
+          choices: [{ message: { content: JSON.stringify({ memory: [{ id: "new", text: "Prefers pnpm", event: "ADD" }] }) } }],
+        });
+      api = createMockApi({ openaiApiKey: "sk-test-key" });
+      register(api);
+
+      await setupCli(api).run("simulate", [file], { mode: "llm" });
+
+      expect(mockChatCreate).toHaveBeenCalledTimes(2);
+      expect(mockUpsertRecords).not.toHaveBeenCalled();
+      expect(log).toHaveBeenCalledWith('  ADD     "Prefers pnpm"');
+    });
+  });
+
+  describe("prune", () => {
+    beforeEach(() => {
+      mockListPaginated.mockResolvedValueOnce({ vectors: [{ id: "old" }, { id: "live" }, { id: "forever" }] });
+      mockFetch.mockResolvedValueOnce({
+        records: {
+          old: { id: "old", metadata: { content: "Working on the login bug", expiresAt: "2000-01-01T00:00:00Z" } },
+          live: { id: "live", metadata: { content: "Sprint goal", expiresAt: "2999-01-01T00:00:00Z" } },
+          forever: { id: "forever", metadata: { content: "Prefers pnpm" } },
+        },
+      });
+    });
+
+    it("deletes only expired memories", async () => {
+      await cli.run("prune");
+      expect(mockDeleteMany).toHaveBeenCalledWith({ ids: ["old"] });
+      expect(log).toHaveBeenCalledWith("Pruned 1 expired memory.");
+    });
+
+    it("lists without deleting on --dry-run", async () => {
+      await cli.run("prune", [], { dryRun: true });
+      expect(mockDeleteMany).not.toHaveBeenCalled();
+      expect(log).toHaveBeenCalledWith(expect.stringContaining("dry run"));
+    });
+  });
+
+  describe("consolidate", () => {
+    const records = {
+      a: { id: "a", metadata: { content: "Uses pnpm", category: "technical", capturedAt: "2025-01-01T00:00:00Z" } },
+      b: { id: "b", metadata: { content: "Prefers pnpm over npm", category: "preference", capturedAt: "2025-02-01T00:00:00Z" } },
+      c: { id: "c", metadata: { content: "Deploys the API on Fly.io", category: "project", capturedAt: "2025-03-01T00:00:00Z" } },
+    };
+    const hit = (id, score) => ({ _id: id, _score: score, fields: records[id].metadata });
+
+    beforeEach(() => {
+      mockListPaginated.mockResolvedValueOnce({ vectors: [{ id: "a" }, { id: "b" }, { id: "c" }] });
+      mockFetch.mockImplementation(async ({ ids }) => ({
+        records: Object.fromEntries(ids.filter((id) => records[id]).map((id) => [id, records[id]])),
+      }));
+      mockSearchRecords.mockImplementation(async ({ query }) => ({
+        result: { hits: query.inputs.text.includes("pnpm") ? [hit("a", 0.9), hit("b", 0.88)] : [hit("c", 1)] },
+      }));
+    });
+
+    afterEach(() => {
+      mockFetch.mockReset();
+      mockFetch.mockResolvedValue({ records: {} });
+      mockSearchRecords.mockReset();
+      mockSearchRecords.mockResolvedValue({ result: { hits: [] } });
+    });
+
+    it("shows the proposed merges on --dry-run", async () => {
+      await cli.run("consolidate", [], { dryRun: true });
+      expect(log).toHaveBeenCalledWith(
+        'Cluster 1 (2 memories, kept as a):\n  - a "Uses pnpm"\n  - b "Prefers pnpm over npm"\n  + "Prefers pnpm over npm"'
+      );
+      expect(log).toHaveBeenCalledWith("1 cluster(s) would merge 2 memories into 1 (dry run, nothing changed).");
+      expect(mockUpsertRecords).not.toHaveBeenCalled();
+      expect(mockDeleteOne).not.toHaveBeenCalled();
+    });
+
+    it("rewrites the oldest memory and archives the rest", async () => {
+      await cli.run("consolidate", [], {});
+      expect(mockUpsertRecords).toHaveBeenCalledWith({
+        records: [expect.objectContaining({ _id: "a", content: "Prefers pnpm over npm", capturedAt: "2025-01-01T00:00:00Z", version: 2 })],
+      });
+      expect(mockUpsertRecords).toHaveBeenCalledWith({
+        records: [expect.objectContaining({ _id: "a#1", content: "Uses pnpm" })],
+      });
+      expect(mockUpsertRecords).toHaveBeenCalledWith({
+        records: [expect.objectContaining({ _id: "b", content: "Prefers pnpm over npm", archivedAt: expect.any(String) })],
+      });
+      expect(mockDeleteOne).toHaveBeenCalledWith("b");
+      expect(log).toHaveBeenCalledWith("Merged 1 of 1 cluster(s); removed memories were archived.");
+    });
+  });
+});
+
+// ---------------------------------------------------------------------------
+// autoCapture / autoRecall disabled
+// ---------------------------------------------------------------------------
+describe("plugin – capture dry run", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockListIndexes.mockResolvedValue({
+      indexes: [{ name: "openclaw-memory" }],
+    });
+  });
+
+  it("logs decisions instead of writing them", async () => {
+    const api = createMockApi({ captureDryRun: true });
+    register(api);
+    mockSearchRecords.mockResolvedValue({ result: { hits: [] } });
+
+    await api.hooks.agent_end({
+      messages: [{ role: "user", content: "I prefer dark mode in all my editors" }],
+    });
+
+    expect(mockUpsertRecords).not.toHaveBeenCalled();
+    expect(api.logger.info).toHaveBeenCalledWith(
+      'pinecone-memory: dry-run ADD     "I prefer dark mode in all my editors" [preference]'
+    );
+    expect(api.logger.info).toHaveBeenCalledWith(
+      "pinecone-memory: dry-run capture facts=1 add=1 update=0 delete=0 none=0 (nothing written)"
+    );
+  });
+
+  it("masks sensitive text in LLM dry-run logs", async () => {
+    const key = "sk-proj-abcdefghijklmnopqrstuvwx12";
+    mockSearchRecords.mockResolvedValue({ result: { hits: [] } });
+    mockChatCreate
+      .mockResolvedValueOnce({ choices: [{ message: { content: JSON.stringify({ facts: [`Staging uses the key ${key}`] }) } }] })
+      .mockResolvedValueOnce({
+        choices: [{ message: { content: JSON.stringify({ memory: [{ id: "new", text: `Staging uses the key ${key}`, event: "ADD" }] }) } }],
+      });
+    const api = createMockApi({ captureDryRun: true, captureMode: "llm", openaiApiKey: "sk-test-key" });
+    register(api);
+
+    await api.hooks.agent_end({ messages: [{ role: "user", content: "Remember the staging key" }] });
+
+    expect(JSON.stringify(mockChatCreate.mock.calls[1][0])).not.toContain(key);
+    const logged = api.logger.info.mock.calls.map(([line]) => line).join("\n");
+    expect(logged).toContain('dry-run ADD     "Staging uses the key [REDACTED:api-key]"');
+    expect(logged).not.toContain(key);
+  });
+});
+
+describe("plugin – disabled hooks", () => {
+  it("does not register recall hook when autoRecall is false", () => {
+    const api = createMockApi({ autoRecall: false });
+    register(api);
+    expect(api.hooks.before_agent_start).toBeUndefined();
+    expect(api.hooks.agent_end).toBeDefined();
+  });
+
+  it("does not register capture hook when autoCapture is false", () => {
+    const api = createMockApi({ autoCapture: false });
+    register(api);
+    expect(api.hooks.before_agent_start).toBeDefined();
+    expect(api.hooks.agent_end).toBeUndefined();
+  });
+});
+
+// ---------------------------------------------------------------------------
+// LLM capture mode
+// ---------------------------------------------------------------------------
+describe("plugin – LLM capture mode", () => {
+  let api;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockListIndexes.mockResolvedValue({
+      indexes: [{ name: "openclaw-memory" }],
+    });
+  });
+
+  it("uses LLM extraction when captureMode is llm", async () => {
+    // Step 1: extraction returns facts
+    mockChatCreate.mockResolvedValueOnce({
+      choices: [{ message: { content: JSON.stringify({ facts: ["The user prefers dark mode"] }) } }],
+    });
+    // Step 2: reconciliation returns ADD decision
+    mockSearchRecords.mockResolvedValue({ result: { hits: [] } });
+    mockChatCreate.mockResolvedValueOnce({
+      choices: [{
+        message: {
+          content: JSON.stringify({
+            memory: [{ id: "new", text: "The user prefers dark mode", event: "ADD", old_memory: null }],
+          }),
+        },
+      }],
+    });
+
+    api = createMockApi({ captureMode: "llm", openaiApiKey: "sk-test-key" });
+    register(api);
+
+    await api.hooks.agent_end({
+      messages: [{ role: "user", content: "I prefer dark mode in all my editors" }],
+    });
+
+    expect(mockChatCreate).toHaveBeenCalledTimes(2);
+    expect(mockUpsertRecords).toHaveBeenCalledWith({
+      records: [
+        expect.objectContaining({
+          content: "The user prefers dark mode",
+          role: "llm-extract",
+        }),
+      ],
+    });
+    expect(api.logger.info).toHaveBeenCalledWith(
+      expect.stringContaining("llm capture")
+    );
+  });
+
+  it("falls back to heuristic when LLM extraction fails", async () => {
+    mockChatCreate.mockRejectedValueOnce(new Error("API rate limited"));
+    mockSearchRecords.mockResolvedValue({ result: { hits: [] } });
+
+    api = createMockApi({ captureMode: "llm", openaiApiKey: "sk-test-key" });
+    register(api);
+
+    await api.hooks.agent_end({
+      messages: [{ role: "user", content: "I always prefer using TypeScript for new projects" }],
+    });
+
+    expect(api.logger.warn).toHaveBeenCalledWith(
+      expect.stringContaining("llm capture failed, falling back to heuristic")
+    );
+    // Heuristic should still store the memory
+    expect(mockUpsertRecords).toHaveBeenCalled();
+  });
+
+  it("falls back to heuristic when openaiApiKey is missing", async () => {
+    mockSearchRecords.mockResolvedValue({ result: { hits: [] } });
+
+    api = createMockApi({ captureMode: "llm" });
+    register(api);
+
+    expect(api.logger.warn).toHaveBeenCalledWith(
+      expect.stringContaining("failed to create LLM client")
+    );
+
+    await api.hooks.agent_end({
+      messages: [{ role: "user", content: "I always prefer using TypeScript for new projects" }],
+    });
+
+    // Should fall back to heuristic since openaiClient is null
+    expect(mockChatCreate).not.toHaveBeenCalled();
+    expect(mockUpsertRecords).toHaveBeenCalled();
+  });
+
+  it("points the OpenAI client at llmBaseUrl without requiring a key", () => {
+    process.env.__GATEWAY_TOKEN = "secret";
+    api = createMockApi({
+      captureMode: "llm",
+      llmBaseUrl: "http://localhost:11434/v1",
+      llmHeaders: { Authorization: "Bearer ${__GATEWAY_TOKEN}" },
+      llmTimeoutMs: 30000,
+    });
+    register(api);
+    delete process.env.__GATEWAY_TOKEN;
+
+    expect(OpenAI).toHaveBeenCalledWith({
+      apiKey: "not-needed",
+      baseURL: "http://localhost:11434/v1",
+      defaultHeaders: { Authorization: "Bearer secret" },
+      timeout: 30000,
+      maxRetries: 0,
+    });
+    expect(api.logger.warn).not.toHaveBeenCalled();
+  });
+
+  it("uses the Anthropic messages API when llmProvider is anthropic", async () => {
+    const reply = (text) => ({ ok: true, json: async () => ({ content: [{ type: "text", text }] }) });
+    const fetchMock = vi
+      .fn()
+      .mockResolvedValueOnce(reply(JSON.stringify({ facts: ["The user prefers dark mode"] })))
+      .mockResolvedValueOnce(
+        reply(`Here you go:\n\`\`\`json\n${JSON.stringify({ memory: [{ id: "new", text: "The user prefers dark mode", event: "ADD" }] })}\n\`\`\``)
+      );
+    vi.stubGlobal("fetch", fetchMock);
+    mockSearchRecords.mockResolvedValue({ result: { hits: [] } });
+
+    try {
+      api = createMockApi({ captureMode: "llm", llmProvider: "anthropic", anthropicApiKey: "sk-ant-test" });
+      register(api);
+      await api.hooks.agent_end({
+        messages: [{ role: "user", content: "I prefer dark mode in all my editors" }],
+      });
+    } finally {
+      vi.unstubAllGlobals();
+    }
+
+    expect(OpenAI).not.toHaveBeenCalled();
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+    const [url, init] = fetchMock.mock.calls[0];
+    expect(url).toBe("https://api.anthropic.com/v1/messages");
+    expect(init.headers).toEqual(expect.objectContaining({ "x-api-key": "sk-ant-test", "anthropic-version": "2023-06-01" }));
+    const body = JSON.parse(init.body);
+    expect(body.model).toBe("claude-haiku-4-5");
+    expect(body.system).toContain("Respond with a single JSON object");
+    expect(body.messages).toEqual([{ role: "user", content: expect.stringContaining("dark mode") }]);
+    expect(mockUpsertRecords).toHaveBeenCalledWith({
+      records: [expect.objectContaining({ content: "The user prefers dark mode", role: "llm-extract" })],
+    });
+  });
+
+  it("warns about an unknown llmProvider and falls back to heuristic", () => {
+    api = createMockApi({ captureMode: "llm", llmProvider: "cohere" });
+    register(api);
+
+    expect(api.logger.warn).toHaveBeenCalledWith(expect.stringContaining('Unknown llmProvider "cohere"'));
+  });
+
+  it("does not call OpenAI when captureMode is heuristic", async () => {
+    mockSearchRecords.mockResolvedValue({ result: { hits: [] } });
+
+    api = createMockApi({ captureMode: "heuristic" });
+    register(api);
+
+    await api.hooks.agent_end({
+      messages: [{ role: "user", content: "I always prefer using TypeScript for new projects" }],
+    });
+
+    expect(mockChatCreate).not.toHaveBeenCalled();
+    expect(mockUpsertRecords).toHaveBeenCalled();
+  });
+
+  it("skips capture when LLM returns no facts", async () => {
+    mockChatCreate.mockResolvedValueOnce({
+      choices: [{ message: { content: JSON.stringify({ facts: [] }) } }],
+    });
+
+    api = createMockApi({ captureMode: "llm", openaiApiKey: "sk-test-key" });
+    register(api);
+
+    await api.hooks.agent_end({
+      messages: [{ role: "user", content: "Hello, how are you?" }],
+    });
+
+    // Extraction returned empty facts, so no reconciliation or storage
+    expect(mockChatCreate).toHaveBeenCalledTimes(1);
     expect(mockUpsertRecords).not.toHaveBeenCalled();
   });
 
@@ -578,17 +1881,77 @@ describe("plugin – LLM capture mode", () => {
       messages: [{ role: "user", content: "I now prefer Bun and I dislike npm" }],
     });
 
-    // UPDATE: upsert with existing id
+    // UPDATE (upsert with existing id) and the DELETE replacement go out in one batch
+    expect(mockUpsertRecords).toHaveBeenCalledOnce();
     expect(mockUpsertRecords).toHaveBeenCalledWith({
-      records: [expect.objectContaining({ _id: "mem-1", content: "User now prefers Bun" })],
+      records: [
+        expect.objectContaining({ _id: "mem-1", content: "User now prefers Bun" }),
+        expect.objectContaining({ content: "User dislikes npm" }),
+      ],
     });
-    // DELETE: delete old + store replacement
+    // DELETE: delete old
     expect(mockDeleteOne).toHaveBeenCalledWith("mem-2");
     expect(api.logger.info).toHaveBeenCalledWith(
       expect.stringContaining("llm capture")
     );
   });
 
+  it("summarizes recalled memories past the token budget", async () => {
+    mockSearchRecords.mockResolvedValueOnce({
+      result: {
+        hits: [
+          { _id: "a", _score: 0.9, content: "Prefers dark mode in every editor", category: "preference" },
+          { _id: "b", _score: 0.8, content: "Deploys the API on Fly.io with blue-green releases", category: "technical" },
+          { _id: "c", _score: 0.7, content: "Uses pnpm workspaces for the monorepo", category: "technical" },
+        ],
+      },
+    });
+    mockChatCreate.mockResolvedValueOnce({
+      choices: [{ message: { content: "Ships on Fly.io and uses pnpm." } }],
+    });
+    api = createMockApi({ captureMode: "llm", openaiApiKey: "sk-test-key", recallTokenBudget: 44, recallOverflow: "summarize" });
+    register(api);
+
+    const result = await api.hooks.before_agent_start({ prompt: "How do I ship the API?" });
+    const lines = result.prependContext.split("\n").slice(1, -1);
+    expect(lines).toEqual([
+      "- (0.90 [preference]) Prefers dark mode in every editor",
+      "- (summary of 2 more) Ships on Fly.io and uses pnpm.",
+    ]);
+    expect(mockChatCreate.mock.calls[0][0].messages[1].content).toContain("Uses pnpm workspaces");
+  });
+
+  it("merges recall results for LLM-rewritten queries", async () => {
+    mockChatCreate.mockResolvedValueOnce({
+      choices: [{ message: { content: JSON.stringify({ queries: ["API deploy host", "release strategy"] }) } }],
+    });
+    mockSearchRecords.mockImplementation(async ({ query }) => ({
+      result: {
+        hits: query.inputs.text === "API deploy host"
+          ? [{ _id: "a", _score: 0.8, content: "Deploys the API on Fly.io", category: "technical" }]
+          : [
+            { _id: "a", _score: 0.5, content: "Deploys the API on Fly.io", category: "technical" },
+            { _id: "b", _score: 0.7, content: "Uses blue-green releases", category: "decision" },
+          ],
+      },
+    }));
+    api = createMockApi({ captureMode: "llm", openaiApiKey: "sk-test-key", recallQueryRewrite: true });
+    register(api);
+
+    const result = await api.hooks.before_agent_start({
+      prompt: "Do it the usual way",
+      messages: [{ role: "user", content: "Ship the API" }],
+    });
+    expect(mockChatCreate.mock.calls[0][0].messages[1].content).toBe("Ship the API\nDo it the usual way");
+    expect(mockSearchRecords).toHaveBeenCalledTimes(2);
+    expect(result.prependContext.split("\n").slice(1, -1)).toEqual([
+      "- (0.80 [technical]) Deploys the API on Fly.io",
+      "- (0.70 [decision]) Uses blue-green releases",
+    ]);
+    mockSearchRecords.mockReset();
+    mockSearchRecords.mockResolvedValue({ result: { hits: [] } });
+  });
+
   it("includes model in registration log when in LLM mode", () => {
     api = createMockApi({ captureMode: "llm", openaiApiKey: "sk-test-key", llmModel: "gpt-4o" });
     register(api);